@@ -1510,10 +1510,31 @@
   const CONFIG = {
     debug: true,                          // Enable console logging for debugging
     badgeEndpoint: 'https://tagmaster.shopyfi.in/apps/tagify/badges', // API endpoint for badge data
-    scanInterval: 1500,                   // Interval between scans (ms)
+    scanInterval: 1500,                   // Interval between polling scans (ms)
+    enablePolling: false,                 // Poll the whole page as a fallback to the mutation observer
+    lazyLoad: true,                       // Only evaluate products once they come near the viewport
+    lazyRootMargin: '300px 0px',          // How far outside the viewport products start loading
+    navigationDelay: 250,                 // Wait for client-side navigation to render before re-initialising
+    navigationEvents: ['swup:contentReplaced', 'swup:page:view', 'turbo:load'], // Page transition library events
     badgeZIndex: 999,                     // Z-index for badges
+    stackGap: 6,                          // Space between badges at the same position (px)
+    stackDirection: 'vertical',           // Stack badges at the same position 'vertical' or 'horizontal'
+    maxVisiblePerPosition: 3,             // Badges shown per position before a "+N" badge (0 = no limit)
+    maxBadgesPerProduct: 0,               // Badges rendered per product (0 = no limit)
+    renderMode: 'light',                  // 'light', or 'shadow' to isolate badges from theme CSS in shadow roots
+    responsiveMode: 'viewport',           // Breakpoints match the 'viewport' or each badge 'container' (container queries)
+    breakpoints: { mobile: 768, tablet: 1024 }, // Max widths (px) of the mobile and tablet breakpoints
+    timezone: null,                       // Shop IANA time zone for badge dates, e.g. 'Europe/Berlin' (or settings.timezone)
+    mobileDefaults: { fontSize: 11, padding: '3px 6px' }, // Mobile styles for badges without mobile overrides
     badgePrefix: 'tm-badge',              // Class prefix for badges
-    containerClass: 'tm-badge-container'  // Container class
+    containerClass: 'tm-badge-container', // Container class
+    maxConcurrentRequests: 4,             // Max parallel product requests
+    bulkProductLimit: 250,                // Products per bulk collection request
+    maxCollectionPages: 4,                // Max pages fetched to resolve collection membership
+    cacheEnabled: true,                   // Cache badge config and products across page views
+    cachePrefix: 'tm-cache:',             // localStorage key prefix
+    badgeCacheTtl: 5 * 60 * 1000,         // Badge config is served from cache for 5 minutes
+    productCacheTtl: 15 * 60 * 1000       // Product data is served from cache for 15 minutes
   };
 
   // Utility functions
@@ -1565,14 +1586,273 @@
 
     // Parse money amount from Shopify format (cents) to dollars
     parseMoney: function (amount) {
-      if (!amount) return 0;
+      if (amount === null || amount === undefined || amount === '') return 0;
 
-      // Handle string values
-      if (typeof amount === 'string') {
-        amount = amount.replace(/[^\d.]/g, '');
+      if (typeof amount === 'number') {
+        return amount / 100;
       }
 
-      return parseFloat(amount) / 100;
+      // Plain integer strings are amounts in cents
+      const value = String(amount).trim();
+      if (/^-?\d+$/.test(value)) {
+        return parseInt(value, 10) / 100;
+      }
+
+      // Formatted strings ("$1,234.56", "1.234,56 €") are in major units
+      let number = value.replace(/[^\d.,-]/g, '');
+      const lastSeparator = Math.max(number.lastIndexOf('.'), number.lastIndexOf(','));
+
+      // A separator followed by one or two digits is the decimal separator
+      if (lastSeparator !== -1 && number.length - lastSeparator - 1 <= 2) {
+        number = number.slice(0, lastSeparator).replace(/[.,]/g, '') + '.' + number.slice(lastSeparator + 1);
+      } else {
+        number = number.replace(/[.,]/g, '');
+      }
+
+      return parseFloat(number) || 0;
+    },
+
+    // Get the locale the storefront is displayed in, e.g. "fr" or "pt-BR"
+    getStorefrontLocale: function () {
+      return (typeof Shopify !== 'undefined' && Shopify.locale) ||
+        document.documentElement.lang ||
+        navigator.language ||
+        'en';
+    },
+
+    // Check if the storefront is displayed right-to-left
+    isRtl: function () {
+      if (document.documentElement.dir) {
+        return document.documentElement.dir.toLowerCase() === 'rtl';
+      }
+
+      const language = this.getStorefrontLocale().split('-')[0].toLowerCase();
+      return ['ar', 'he', 'fa', 'ur', 'yi', 'ps', 'sd', 'ug', 'dv'].includes(language);
+    },
+
+    // Get the storefront locale, with the visitor's country as region when
+    // the locale has none (e.g. "en" + "IN" -> "en-IN" for Indian grouping)
+    getLocale: function () {
+      let locale = this.getStorefrontLocale();
+
+      if (locale.indexOf('-') === -1 && typeof Shopify !== 'undefined' && Shopify.country) {
+        locale = `${locale}-${Shopify.country}`;
+      }
+
+      try {
+        return Intl.NumberFormat.supportedLocalesOf([locale]).length > 0 ? locale : 'en';
+      } catch (e) {
+        return 'en';
+      }
+    },
+
+    // Format a number for the storefront locale. Options: decimals,
+    // rounding ('round', 'floor', 'ceil'), notation ('standard', 'compact'),
+    // currency (ISO code to format as money) and currencyDisplay
+    formatNumber: function (value, options = {}) {
+      const decimals = options.decimals != null ? options.decimals : 0;
+      const round = ['floor', 'ceil'].includes(options.rounding) ? Math[options.rounding] : Math.round;
+      const factor = Math.pow(10, decimals);
+
+      // toPrecision strips float noise such as 28.999999 before rounding
+      const rounded = round(Number((Number(value) * factor).toPrecision(12))) / factor;
+
+      const intlOptions = {
+        minimumFractionDigits: decimals,
+        maximumFractionDigits: decimals
+      };
+
+      if (options.notation === 'compact') {
+        intlOptions.notation = 'compact';
+        intlOptions.minimumFractionDigits = 0;
+      }
+
+      if (options.currency) {
+        intlOptions.style = 'currency';
+        intlOptions.currency = options.currency;
+        intlOptions.currencyDisplay = options.currencyDisplay || 'symbol';
+      }
+
+      try {
+        return new Intl.NumberFormat(this.getLocale(), intlOptions).format(rounded);
+      } catch (e) {
+        return rounded.toFixed(decimals);
+      }
+    },
+
+    // Format a value with a unit for the storefront locale, e.g. "2 days"
+    // (display 'long') or "2d" ('narrow')
+    formatUnit: function (value, unit, display) {
+      try {
+        return new Intl.NumberFormat(this.getLocale(), {
+          style: 'unit',
+          unit: unit,
+          unitDisplay: display || 'long'
+        }).format(value);
+      } catch (e) {
+        return display === 'narrow' ? `${value}${unit.charAt(0)}` : `${value} ${unit}${value === 1 ? '' : 's'}`;
+      }
+    },
+
+    // Get the wall-clock date and time of `date` in an IANA time zone
+    // (the visitor's own when timeZone is empty)
+    getZonedParts: function (date, timeZone) {
+      let formatter;
+
+      try {
+        formatter = new Intl.DateTimeFormat('en-US', {
+          timeZone: timeZone || undefined,
+          hour12: false,
+          year: 'numeric',
+          month: 'numeric',
+          day: 'numeric',
+          hour: 'numeric',
+          minute: 'numeric',
+          second: 'numeric'
+        });
+      } catch (e) {
+        this.log(`Unknown time zone "${timeZone}", using the visitor's`, 'warn');
+        return this.getZonedParts(date, null);
+      }
+
+      const parts = {};
+      formatter.formatToParts(date).forEach(part => {
+        parts[part.type] = parseInt(part.value, 10);
+      });
+
+      return {
+        year: parts.year,
+        month: parts.month,
+        day: parts.day,
+        // Some browsers write midnight as 24:00
+        hour: parts.hour % 24,
+        minute: parts.minute,
+        second: parts.second
+      };
+    },
+
+    // Parse a badge date. Dates with a UTC offset or "Z" are exact moments;
+    // wall-clock dates like "2024-11-29T18:00" are read in `timeZone`.
+    // Without a time zone dates parse as before: date-only values are UTC
+    // midnight, date-times are the visitor's local time
+    parseZonedDate: function (value, timeZone) {
+      if (value instanceof Date || typeof value === 'number') return new Date(value);
+
+      const text = String(value).trim();
+      if (!timeZone) return new Date(text);
+
+      const match = text.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/);
+
+      if (!match) return new Date(text);
+
+      const fields = match.slice(1).map(field => parseInt(field || 0, 10));
+      const wallClock = Date.UTC(fields[0], fields[1] - 1, fields[2], fields[3], fields[4], fields[5]);
+
+      // The zone's offset at a moment: its wall clock read as UTC, minus the moment
+      const offsetAt = (time) => {
+        const parts = this.getZonedParts(new Date(time), timeZone);
+        return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - time;
+      };
+
+      // Check the offset again at the result in case it crosses a DST change
+      const guess = wallClock - offsetAt(wallClock);
+      return new Date(wallClock - offsetAt(guess));
+    },
+
+    // Get the active (presentment) currency and its rate against the shop currency
+    getCurrency: function () {
+      const currency = typeof Shopify !== 'undefined' && Shopify.currency ? Shopify.currency : {};
+      const rate = parseFloat(currency.rate);
+
+      return {
+        code: currency.active || null,
+        rate: rate > 0 ? rate : 1
+      };
+    },
+
+    // Convert a presentment currency amount back to the shop currency
+    toShopCurrency: function (amount) {
+      return amount / this.getCurrency().rate;
+    },
+
+    // Get the shop's money format, e.g. "${{amount}}" or "{{amount_with_comma_separator}} €"
+    getMoneyFormat: function () {
+      const candidates = [
+        typeof theme !== 'undefined' && theme.moneyFormat,
+        typeof theme !== 'undefined' && theme.settings && theme.settings.moneyFormat,
+        typeof Shopify !== 'undefined' && Shopify.money_format,
+        window.moneyFormat
+      ];
+
+      for (const candidate of candidates) {
+        if (typeof candidate === 'string' && candidate.includes('{{')) {
+          return candidate;
+        }
+      }
+
+      const element = document.querySelector('[data-money-format]');
+      return element ? element.getAttribute('data-money-format') : null;
+    },
+
+    // Format an amount in cents with the shop's money format. The shop's
+    // format carries the shop currency's symbol, so amounts converted to
+    // another presentment currency are formatted by the browser instead
+    formatMoney: function (cents, format) {
+      const currency = this.getCurrency();
+      const isConverted = currency.rate !== 1;
+      const moneyFormat = format || (isConverted ? null : this.getMoneyFormat());
+      const amount = Math.round(Number(cents) || 0);
+
+      // Without a money format let the browser place the currency symbol
+      if (!moneyFormat) {
+        const code = currency.code;
+        if (code && window.Intl) {
+          return new Intl.NumberFormat(this.getLocale(), { style: 'currency', currency: code }).format(amount / 100);
+        }
+        return (amount / 100).toFixed(2);
+      }
+
+      const withDelimiters = (precision, thousands, decimal) => {
+        const parts = (amount / 100).toFixed(precision).split('.');
+        const whole = parts[0].replace(/(\d)(?=(\d\d\d)+(?!\d))/g, `$1${thousands}`);
+        return parts[1] ? whole + decimal + parts[1] : whole;
+      };
+
+      return moneyFormat.replace(/\{\{\s*(\w+)\s*\}\}/, (match, placeholder) => {
+        switch (placeholder) {
+          case 'amount_no_decimals':
+            return withDelimiters(0, ',', '.');
+          case 'amount_with_comma_separator':
+            return withDelimiters(2, '.', ',');
+          case 'amount_no_decimals_with_comma_separator':
+            return withDelimiters(0, '.', ',');
+          case 'amount_with_apostrophe_separator':
+            return withDelimiters(2, "'", '.');
+          case 'amount_with_space_separator':
+            return withDelimiters(2, ' ', ',');
+          default:
+            return withDelimiters(2, ',', '.');
+        }
+      });
+    },
+
+    // Get the symbol for a currency code, e.g. "EUR" -> "€"
+    getCurrencySymbol: function (code) {
+      if (!code || !window.Intl || !Intl.NumberFormat.prototype.formatToParts) return code || '';
+
+      try {
+        const parts = new Intl.NumberFormat(this.getLocale(), { style: 'currency', currency: code }).formatToParts(0);
+        const symbol = parts.find(part => part.type === 'currency');
+        return symbol ? symbol.value : code;
+      } catch (e) {
+        return code;
+      }
+    },
+
+    // Normalize a Shopify ID (number, string or GID) to a plain string
+    normalizeId: function (id) {
+      if (id === null || id === undefined) return null;
+      return String(id).replace(/^gid:\/\/shopify\/\w+\//, '');
     },
 
     // Make an HTTP request
@@ -1592,882 +1872,4071 @@
         })
         .catch(error => {
           this.log(`Error fetching data: ${error.message}`, 'error');
+          this.dispatch('error', { message: error.message, url: url, error: error });
           callback(null);
         });
+    },
+
+    // Elements and attributes kept by sanitizeSvg: shapes, text and
+    // gradients only, so nothing in a badge SVG can link, animate or load
+    svgElements: [
+      'svg', 'g', 'path', 'circle', 'rect', 'ellipse', 'line', 'polyline', 'polygon', 'text', 'tspan',
+      'defs', 'lineargradient', 'radialgradient', 'stop', 'clippath', 'title'
+    ],
+
+    svgAttributes: [
+      'xmlns', 'xmlns:xlink', 'version', 'id', 'class', 'viewbox', 'preserveaspectratio', 'width', 'height',
+      'x', 'y', 'x1', 'y1', 'x2', 'y2', 'cx', 'cy', 'r', 'rx', 'ry', 'fx', 'fy', 'dx', 'dy', 'd', 'points',
+      'transform', 'opacity', 'fill', 'fill-opacity', 'fill-rule', 'stroke', 'stroke-width', 'stroke-opacity',
+      'stroke-linecap', 'stroke-linejoin', 'stroke-dasharray', 'stroke-dashoffset', 'stroke-miterlimit',
+      'clip-path', 'clip-rule', 'clippathunits', 'gradientunits', 'gradienttransform', 'spreadmethod',
+      'offset', 'stop-color', 'stop-opacity', 'font-family', 'font-size', 'font-weight', 'font-style',
+      'text-anchor', 'dominant-baseline', 'letter-spacing', 'visibility', 'href', 'xlink:href'
+    ],
+
+    // Parse SVG markup and keep only allowlisted elements and attributes;
+    // references must point inside the SVG (#id). Returns an <svg> or null
+    sanitizeSvg: function (markup) {
+      if (!markup || typeof markup !== 'string' || !window.DOMParser) return null;
+
+      const parsed = new DOMParser().parseFromString(markup, 'image/svg+xml');
+      const svg = parsed.documentElement;
+
+      if (!svg || svg.nodeName.toLowerCase() !== 'svg' || parsed.querySelector('parsererror')) {
+        this.log('Invalid SVG badge markup', 'warn');
+        return null;
+      }
+
+      const isSafeAttribute = (element, attribute) => {
+        const name = attribute.name.toLowerCase();
+        const value = attribute.value.trim();
+
+        if (!this.svgAttributes.includes(name)) return false;
+
+        // Only gradients may reference another element, and only by #id
+        if (name === 'href' || name === 'xlink:href') {
+          return /gradient$/i.test(element.nodeName) && /^#[\w-]+$/.test(value);
+        }
+
+        // fill="url(#gradient)" and clip-path="url(#clip)" stay inside the SVG
+        const urls = value.match(/url\s*\([^)]*\)/gi) || [];
+        if (urls.some(url => !/^url\(\s*#[\w-]+\s*\)$/i.test(url))) return false;
+
+        return !/[<>]|javascript:|data:/i.test(value);
+      };
+
+      const clean = (element) => {
+        Array.from(element.attributes).forEach(attribute => {
+          if (!isSafeAttribute(element, attribute)) {
+            element.removeAttribute(attribute.name);
+          }
+        });
+
+        Array.from(element.children).forEach(child => {
+          if (this.svgElements.includes(child.nodeName.toLowerCase())) {
+            clean(child);
+          } else {
+            child.remove();
+          }
+        });
+      };
+
+      clean(svg);
+
+      return document.importNode(svg, true);
+    },
+
+    // Run a callback when the browser is idle, or soon after where unsupported
+    requestIdle: function (callback) {
+      if (window.requestIdleCallback) {
+        window.requestIdleCallback(callback, { timeout: 500 });
+      } else {
+        setTimeout(callback, 50);
+      }
+    },
+
+    // Dispatch a tagmaster:* event on the target, bubbling up to document
+    dispatch: function (name, detail, target, cancelable) {
+      const event = new CustomEvent(`tagmaster:${name}`, {
+        detail: detail || {},
+        bubbles: true,
+        cancelable: !!cancelable
+      });
+
+      // Detached elements can't bubble to document, dispatch there instead
+      (target && target.isConnected ? target : document).dispatchEvent(event);
+
+      return event;
     }
   };
 
-  // Main badge application
-  const TagifyBadges = {
-    // State management
-    state: {
-      shopDomain: '',
-      badges: [],
-      processedElements: new Set(),
-      pageType: 'unknown',
-      isProcessing: false,
-      initialized: false,
-      scanCount: 0,
-      appliedBadges: 0
+  // Persistent cache in localStorage; every entry carries its own TTL and
+  // is kept after expiry so it can still be revalidated
+  const cache = {
+    // Get the storage backend, or null when it is disabled or blocked
+    storage: function () {
+      if (!CONFIG.cacheEnabled) return null;
+
+      try {
+        return window.localStorage;
+      } catch (e) {
+        return null;
+      }
     },
 
-    /**
-     * Initialize the badge application
-     */
-    init: function () {
-      if (this.state.initialized) return;
+    // Read an entry; `fresh` tells whether it is still within its TTL
+    get: function (key) {
+      const storage = this.storage();
+      if (!storage) return null;
 
-      utils.log('Initializing TagifyBadges...');
+      try {
+        const entry = JSON.parse(storage.getItem(CONFIG.cachePrefix + key));
+        if (!entry) return null;
 
-      // Set shop domain
-      this.state.shopDomain = utils.getShopDomain();
-      utils.log(`Shop domain: ${this.state.shopDomain}`);
+        entry.fresh = Date.now() - entry.storedAt < entry.ttl;
+        return entry;
+      } catch (e) {
+        return null;
+      }
+    },
 
-      // Detect page type
-      this.detectPageType();
-      utils.log(`Page type detected: ${this.state.pageType}`);
+    // Write an entry
+    set: function (key, value, ttl, etag) {
+      const storage = this.storage();
+      if (!storage) return;
 
-      // Add base styles
-      this.injectBaseStyles();
-      utils.log('Base styles injected');
+      const raw = JSON.stringify({
+        value: value,
+        ttl: ttl,
+        etag: etag || null,
+        storedAt: Date.now()
+      });
 
-      // Fetch badge configurations
-      this.fetchBadges();
+      try {
+        storage.setItem(CONFIG.cachePrefix + key, raw);
+      } catch (e) {
+        // Storage is full: drop expired entries and try once more
+        this.prune();
 
-      // Mark as initialized
-      this.state.initialized = true;
+        try {
+          storage.setItem(CONFIG.cachePrefix + key, raw);
+        } catch (error) {
+          utils.log(`Could not cache ${key}: ${error.message}`, 'warn');
+        }
+      }
     },
 
-    /**
-     * Detect the current page type
-     */
-    detectPageType: function () {
-      // Check meta.page (common in many themes)
-      if (typeof meta !== 'undefined' && meta.page && meta.page.pageType) {
-        this.state.pageType = meta.page.pageType;
-        return;
+    // Mark an entry as fresh again after a successful revalidation
+    touch: function (key) {
+      const entry = this.get(key);
+      if (entry) {
+        this.set(key, entry.value, entry.ttl, entry.etag);
       }
+    },
 
-      // Check Shopify object
-      if (typeof Shopify !== 'undefined') {
-        if (Shopify.template) {
-          this.state.pageType = Shopify.template;
-          return;
+    // Remove expired entries
+    prune: function () {
+      const storage = this.storage();
+      if (!storage) return;
+
+      for (let i = storage.length - 1; i >= 0; i--) {
+        const key = storage.key(i);
+        if (!key || key.indexOf(CONFIG.cachePrefix) !== 0) continue;
+
+        const entry = this.get(key.slice(CONFIG.cachePrefix.length));
+        if (!entry || !entry.fresh) {
+          storage.removeItem(key);
         }
       }
+    }
+  };
 
-      // Check URL pattern
-      const path = window.location.pathname;
-      if (path.includes('/products/')) {
-        this.state.pageType = 'product';
-      } else if (path.includes('/collections/')) {
-        this.state.pageType = 'collection';
+  // Product data layer: de-duplicates lookups per handle, caps concurrent
+  // requests and serves collection pages from a single bulk request
+  const productStore = {
+    products: {},       // Loaded products by handle
+    waiting: {},        // Callbacks waiting for a handle
+    queue: [],          // Handles waiting for a request slot
+    deferred: [],       // Handles requested while a bulk load is running
+    activeRequests: 0,
+    bulkLoading: false,
+    loadedCollections: {},
+
+    // Get product data for a handle
+    get: function (handle, callback) {
+      if (this.products[handle]) {
+        callback(this.products[handle]);
+        return;
+      }
+
+      // Serve from the persistent cache while it is fresh
+      const cached = cache.get(`product:${handle}`);
+      if (cached && cached.fresh) {
+        this.products[handle] = cached.value;
+        callback(cached.value);
+        return;
+      }
+
+      // Join the pending lookup for this handle
+      if (this.waiting[handle]) {
+        this.waiting[handle].push(callback);
+        return;
+      }
+
+      this.waiting[handle] = [callback];
+
+      // Wait for the bulk result before requesting the handle on its own
+      if (this.bulkLoading) {
+        this.deferred.push(handle);
       } else {
-        this.state.pageType = 'other';
+        this.enqueue(handle);
       }
     },
 
-    /**
-     * Inject base CSS styles for badges
-     */
-    injectBaseStyles: function () {
-      // Check if styles are already injected
-      if (document.getElementById(`${CONFIG.badgePrefix}-styles`)) return;
+    // Queue a handle for an individual request
+    enqueue: function (handle) {
+      this.queue.push(handle);
+      this.next();
+    },
 
-      const style = document.createElement('style');
-      style.id = `${CONFIG.badgePrefix}-styles`;
-      style.innerHTML = `
-        /* Badge container */
-        .${CONFIG.containerClass} {
-          position: relative !important;
-          overflow: visible !important;
-        }
-        
-        /* Base badge styles */
-        .${CONFIG.badgePrefix} {
-          position: absolute;
-          z-index: ${CONFIG.badgeZIndex};
-          display: inline-block;
-          font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif;
-          font-weight: 700;
-          line-height: 1.2;
-          text-align: center;
-          text-transform: uppercase;
-          letter-spacing: 0.5px;
-          box-shadow: 0 2px 4px rgba(0,0,0,0.2);
-          white-space: nowrap;
-          animation: ${CONFIG.badgePrefix}-appear 300ms forwards;
-          box-sizing: content-box;
-        }
-        
-        /* Appearance animation */
-        @keyframes ${CONFIG.badgePrefix}-appear {
-          0% { opacity: 0; transform: scale(0.8); }
-          100% { opacity: 1; transform: scale(1); }
-        }
-        
-        /* Badge shapes */
-        .${CONFIG.badgePrefix}-standard {
-          border-radius: 4px;
-          padding: 5px 10px;
-        }
-        
-        .${CONFIG.badgePrefix}-circle {
-          border-radius: 50%;
-          padding: 0;
-          min-width: 40px;
-          min-height: 40px;
-          display: flex;
-          align-items: center;
-          justify-content: center;
+    // Start queued requests while there are free slots
+    next: function () {
+      while (this.activeRequests < CONFIG.maxConcurrentRequests && this.queue.length > 0) {
+        const handle = this.queue.shift();
+
+        // Loaded by a bulk request while queued
+        if (this.products[handle]) {
+          this.resolve(handle, this.products[handle]);
+          continue;
         }
-        
-        .${CONFIG.badgePrefix}-ribbon {
-          clip-path: polygon(0 0, 100% 0, 100% 70%, 50% 100%, 0 70%);
-          padding: 5px 12px;
+
+        this.activeRequests++;
+        this.request(handle, (product) => {
+          this.activeRequests--;
+          this.resolve(handle, product);
+          this.next();
+        });
+      }
+    },
+
+    // Fetch a single product from the product.js endpoint, revalidating
+    // an expired cache entry with its ETag
+    request: function (handle, callback) {
+      const cacheKey = `product:${handle}`;
+      const cached = cache.get(cacheKey);
+      const headers = cached && cached.etag ? { 'If-None-Match': cached.etag } : {};
+
+      fetch(`/products/${handle}.js`, { headers: headers })
+        .then(response => {
+          if (response.status === 304 && cached) {
+            cache.touch(cacheKey);
+            return cached.value;
+          }
+
+          if (!response.ok) throw new Error('Product not found');
+
+          const etag = response.headers.get('ETag');
+          return response.json().then(product => {
+            cache.set(cacheKey, this.compactProduct(product), CONFIG.productCacheTtl, etag);
+            return product;
+          });
+        })
+        // Rejection handler as the second argument, so an exception thrown
+        // by the callback is not reported as a failed request
+        .then(product => {
+          callback(product);
+        }, error => {
+          utils.log(`Error fetching product data for ${handle}: ${error.message}`, 'error');
+          utils.dispatch('error', { message: error.message, handle: handle, error: error });
+          callback(null);
+        });
+    },
+
+    // Store a product and notify everyone waiting for it
+    resolve: function (handle, product) {
+      if (product) {
+        this.products[handle] = product;
+      }
+
+      const callbacks = this.waiting[handle] || [];
+      delete this.waiting[handle];
+
+      callbacks.forEach(callback => callback(product));
+    },
+
+    // Load all products of a collection with one request
+    loadCollection: function (collectionHandle, callback) {
+      if (!collectionHandle || this.loadedCollections[collectionHandle]) return;
+
+      this.loadedCollections[collectionHandle] = true;
+
+      // Products of a recently loaded collection are already cached
+      const cached = cache.get(`collection:${collectionHandle}`);
+      if (cached && cached.fresh) {
+        utils.log(`Using cached products for collection ${collectionHandle}`);
+        return;
+      }
+
+      this.bulkLoading = true;
+
+      const url = `/collections/${collectionHandle}/products.json?limit=${CONFIG.bulkProductLimit}`;
+
+      utils.fetchData(url, (data) => {
+        this.bulkLoading = false;
+
+        if (data && data.products) {
+          data.products.forEach(item => {
+            const product = this.normalizeProductJson(item);
+            this.products[product.handle] = product;
+
+            // Only rewrite cache entries whose product has changed
+            const cachedProduct = cache.get(`product:${product.handle}`);
+            if (cachedProduct && cachedProduct.value.updated_at === product.updated_at) {
+              cache.touch(`product:${product.handle}`);
+            } else {
+              cache.set(`product:${product.handle}`, this.compactProduct(product), CONFIG.productCacheTtl);
+            }
+          });
+
+          cache.set(`collection:${collectionHandle}`, true, CONFIG.productCacheTtl);
+          utils.log(`Loaded ${data.products.length} products from collection ${collectionHandle}`);
         }
-        
-        .${CONFIG.badgePrefix}-star {
-          clip-path: polygon(50% 0%, 61% 35%, 98% 35%, 68% 57%, 79% 91%, 50% 70%, 21% 91%, 32% 57%, 2% 35%, 39% 35%);
-          padding: 15px;
-          display: flex;
-          align-items: center;
-          justify-content: center;
+
+        // Serve deferred handles from the bulk result, request the rest
+        const deferred = this.deferred;
+        this.deferred = [];
+
+        deferred.forEach(handle => {
+          if (this.products[handle]) {
+            this.resolve(handle, this.products[handle]);
+          } else {
+            this.enqueue(handle);
+          }
+        });
+
+        if (callback) callback();
+      });
+    },
+
+    // Drop descriptions and media before caching to stay within storage quota
+    compactProduct: function (product) {
+      const compact = Object.assign({}, product);
+      ['description', 'body_html', 'media', 'images', 'featured_image'].forEach(key => {
+        delete compact[key];
+      });
+
+      if (compact.variants) {
+        compact.variants = compact.variants.map(variant => {
+          const compactVariant = Object.assign({}, variant);
+          delete compactVariant.featured_image;
+          delete compactVariant.featured_media;
+          return compactVariant;
+        });
+      }
+
+      return compact;
+    },
+
+    // Convert a products.json entry to the /products/{handle}.js format
+    normalizeProductJson: function (product) {
+      const toCents = (value) => {
+        if (value === null || value === undefined || value === '') return null;
+        return Math.round(parseFloat(value) * 100);
+      };
+
+      const variants = (product.variants || []).map(variant => Object.assign({}, variant, {
+        price: toCents(variant.price),
+        compare_at_price: toCents(variant.compare_at_price)
+      }));
+
+      const prices = variants.map(variant => variant.price).filter(price => price !== null);
+      const comparePrices = variants.map(variant => variant.compare_at_price).filter(price => price !== null);
+
+      return Object.assign({}, product, {
+        type: product.product_type,
+        variants: variants,
+        price: prices.length > 0 ? Math.min.apply(null, prices) : 0,
+        price_min: prices.length > 0 ? Math.min.apply(null, prices) : 0,
+        price_max: prices.length > 0 ? Math.max.apply(null, prices) : 0,
+        compare_at_price: comparePrices.length > 0 ? Math.min.apply(null, comparePrices) : null,
+        available: variants.some(variant => variant.available)
+      });
+    }
+  };
+
+  // Collection membership map: product IDs per collection handle, used to
+  // target badges at collections (product.js has no collections field)
+  const collectionStore = {
+    members: {},        // { ids, complete } by collection handle
+    handles: {},        // Collection handles by collection ID
+
+    // Look up the handles of collections only referenced by ID, so their
+    // membership can be loaded like any other collection
+    resolveHandles: function (ids, callback) {
+      const missing = () => ids.filter(id => !this.handles[id]);
+
+      if (missing().length === 0) {
+        callback();
+        return;
+      }
+
+      const cached = cache.get('collection-handles');
+      if (cached && cached.fresh) {
+        Object.assign(this.handles, cached.value);
+        if (missing().length === 0) {
+          callback();
+          return;
         }
-        
-        .${CONFIG.badgePrefix}-sale {
-          clip-path: polygon(0% 0%, 100% 0%, 100% 70%, 85% 100%, 0% 100%);
-          padding: 5px 15px 5px 10px;
+      }
+
+      this.fetchHandles(1, (ok) => {
+        if (ok) cache.set('collection-handles', this.handles, CONFIG.productCacheTtl);
+        missing().forEach(id => {
+          utils.log(`Collection ${id} was not found, it only matches on its own collection page`, 'warn');
+        });
+        callback();
+      });
+    },
+
+    // Page through /collections.json mapping collection IDs to handles;
+    // calls back with false when a page fails to load
+    fetchHandles: function (page, callback) {
+      const url = `/collections.json?limit=${CONFIG.bulkProductLimit}&page=${page}`;
+
+      utils.fetchData(url, (data) => {
+        if (!data) {
+          callback(false);
+          return;
         }
-        
-        .${CONFIG.badgePrefix}-new {
-          clip-path: polygon(15% 0%, 100% 0%, 100% 100%, 0% 100%, 0% 30%);
-          padding: 5px 10px 5px 15px;
+
+        const collections = data.collections || [];
+
+        collections.forEach(collection => {
+          this.handles[utils.normalizeId(collection.id)] = collection.handle;
+        });
+
+        if (collections.length < CONFIG.bulkProductLimit || page >= CONFIG.maxCollectionPages) {
+          callback(true);
+          return;
         }
-        
-        .${CONFIG.badgePrefix}-popular {
-          transform: rotate(-5deg);
-          padding: 5px 10px;
-          border-radius: 4px;
+
+        this.fetchHandles(page + 1, callback);
+      });
+    },
+
+    // Resolve membership for a list of collection handles
+    load: function (handles, callback) {
+      const pending = handles.filter(handle => !this.members[handle]);
+
+      if (pending.length === 0) {
+        callback();
+        return;
+      }
+
+      let remaining = pending.length;
+      const done = () => {
+        remaining--;
+        if (remaining === 0) callback();
+      };
+
+      pending.forEach(handle => {
+        const cached = cache.get(`collection-members:${handle}`);
+        if (cached && cached.fresh) {
+          this.members[handle] = { ids: cached.value, complete: true };
+          done();
+          return;
         }
-        
-        .${CONFIG.badgePrefix}-premium,
-        .${CONFIG.badgePrefix}-limited,
-        .${CONFIG.badgePrefix}-verified {
-          padding: 5px 10px;
-          border-radius: 4px;
+
+        this.fetchMembers(handle, [], 1, (ids, complete) => {
+          // A failed request is retried on the next load instead of
+          // leaving the collection looking empty
+          if (!ids) {
+            utils.log(`Could not load products of collection ${handle}`, 'warn');
+            done();
+            return;
+          }
+
+          this.members[handle] = { ids: ids, complete: complete };
+
+          // A truncated list is kept for this page view only
+          if (complete) {
+            cache.set(`collection-members:${handle}`, ids, CONFIG.productCacheTtl);
+          }
+          utils.log(`Resolved ${ids.length} products in collection ${handle}`);
+          done();
+        });
+      });
+    },
+
+    // Page through a collection's products.json collecting product IDs;
+    // calls back with (ids, complete), complete being false when
+    // maxCollectionPages was reached, or with null when a page fails to load
+    fetchMembers: function (handle, ids, page, callback) {
+      const url = `/collections/${handle}/products.json?limit=${CONFIG.bulkProductLimit}&page=${page}`;
+
+      utils.fetchData(url, (data) => {
+        if (!data) {
+          callback(null);
+          return;
         }
-        
-        /* Position classes */
-        .${CONFIG.badgePrefix}-pos-1 {
-          top: 10px;
-          left: 10px;
+
+        const products = data.products || [];
+
+        products.forEach(item => {
+          ids.push(utils.normalizeId(item.id));
+
+          // Product data comes for free, keep it for the cards
+          if (!productStore.products[item.handle]) {
+            productStore.products[item.handle] = productStore.normalizeProductJson(item);
+          }
+        });
+
+        if (products.length < CONFIG.bulkProductLimit) {
+          // Every product is known now, no bulk load needed for this collection
+          productStore.loadedCollections[handle] = true;
+          callback(ids, true);
+          return;
         }
-        
-        .${CONFIG.badgePrefix}-pos-2 {
-          top: 10px;
-          left: 50%;
-          transform: translateX(-50%);
+
+        if (page >= CONFIG.maxCollectionPages) {
+          utils.log(`Collection ${handle} has more than ${ids.length} products, membership is incomplete`, 'warn');
+          callback(ids, false);
+          return;
         }
-        
-        .${CONFIG.badgePrefix}-pos-3 {
-          top: 10px;
-          right: 10px;
+
+        this.fetchMembers(handle, ids, page + 1, callback);
+      });
+    }
+  };
+
+  // Rule engine for declarative badge conditions. A condition is either a
+  // group ({ all: [...] }, { any: [...] }, { not: condition }) or a leaf
+  // ({ field, operator, value }) evaluated against the product facts
+  const ruleEngine = {
+    // Leaf operators: (actual value of the field, value from the condition)
+    operators: {
+      equals: function (actual, expected) {
+        if (Array.isArray(actual)) return actual.some(item => ruleEngine.isEqual(item, expected));
+        return ruleEngine.isEqual(actual, expected);
+      },
+      not_equals: function (actual, expected) {
+        return !ruleEngine.operators.equals(actual, expected);
+      },
+      contains: function (actual, expected) {
+        if (Array.isArray(actual)) return actual.some(item => ruleEngine.isEqual(item, expected));
+        if (actual === null || actual === undefined) return false;
+        return String(actual).toLowerCase().includes(String(expected).toLowerCase());
+      },
+      not_contains: function (actual, expected) {
+        return !ruleEngine.operators.contains(actual, expected);
+      },
+      in: function (actual, expected) {
+        const values = Array.isArray(expected) ? expected : [expected];
+        return values.some(value => ruleEngine.operators.equals(actual, value));
+      },
+      not_in: function (actual, expected) {
+        return !ruleEngine.operators.in(actual, expected);
+      },
+      gt: function (actual, expected) {
+        return ruleEngine.compare(actual, expected, (a, b) => a > b);
+      },
+      gte: function (actual, expected) {
+        return ruleEngine.compare(actual, expected, (a, b) => a >= b);
+      },
+      lt: function (actual, expected) {
+        return ruleEngine.compare(actual, expected, (a, b) => a < b);
+      },
+      lte: function (actual, expected) {
+        return ruleEngine.compare(actual, expected, (a, b) => a <= b);
+      },
+      between: function (actual, expected) {
+        const min = Array.isArray(expected) ? expected[0] : expected.min;
+        const max = Array.isArray(expected) ? expected[1] : expected.max;
+        return ruleEngine.operators.gte(actual, min) && ruleEngine.operators.lte(actual, max);
+      },
+      regex: function (actual, expected) {
+        const pattern = new RegExp(expected, 'i');
+        if (Array.isArray(actual)) return actual.some(item => pattern.test(String(item)));
+        return actual !== null && actual !== undefined && pattern.test(String(actual));
+      },
+      exists: function (actual, expected) {
+        const present = actual !== null && actual !== undefined && actual !== '' &&
+          !(Array.isArray(actual) && actual.length === 0);
+        return expected === false ? !present : present;
+      }
+    },
+
+    // Evaluate a condition tree against a set of facts
+    evaluate: function (condition, facts) {
+      if (!condition) return true;
+
+      if (Array.isArray(condition.all)) {
+        return condition.all.every(child => this.evaluate(child, facts));
+      }
+
+      if (Array.isArray(condition.any)) {
+        return condition.any.some(child => this.evaluate(child, facts));
+      }
+
+      if (condition.not) {
+        return !this.evaluate(condition.not, facts);
+      }
+
+      return this.evaluateLeaf(condition, facts);
+    },
+
+    // Evaluate a single { field, operator, value } condition
+    evaluateLeaf: function (condition, facts) {
+      const operator = this.operators[condition.operator];
+      if (!operator) {
+        utils.log(`Unknown condition operator: ${condition.operator}`, 'warn');
+        return false;
+      }
+
+      try {
+        return operator(this.resolve(facts, condition.field), condition.value);
+      } catch (e) {
+        utils.log(`Error evaluating condition on ${condition.field}: ${e.message}`, 'warn');
+        return false;
+      }
+    },
+
+    // Read a fact by dotted path, e.g. "product.vendor"
+    resolve: function (facts, path) {
+      if (!path) return undefined;
+
+      return String(path).split('.').reduce((value, key) => {
+        return value === null || value === undefined ? undefined : value[key];
+      }, facts);
+    },
+
+    // Compare values, numerically when either side is a number
+    isEqual: function (actual, expected) {
+      if (typeof actual === 'number' || typeof expected === 'number' ||
+          typeof actual === 'boolean' || typeof expected === 'boolean') {
+        return String(actual) === String(expected);
+      }
+
+      if (actual === null || actual === undefined) {
+        return expected === null || expected === undefined;
+      }
+
+      return String(actual).toLowerCase() === String(expected).toLowerCase();
+    },
+
+    // Numeric comparison; values that aren't numbers never match
+    compare: function (actual, expected, test) {
+      const a = parseFloat(actual);
+      const b = parseFloat(expected);
+      if (isNaN(a) || isNaN(b)) return false;
+      return test(a, b);
+    }
+  };
+
+  // Small template language for badge text, a safe subset of Liquid:
+  // {{ product.vendor | upcase }}, {% if stock < 5 %}...{% else %}...{% endif %}.
+  // Nothing is evaluated as code and output is always used as plain text
+  const templateEngine = {
+    // Output filters: (value, ...arguments)
+    filters: {
+      upcase: function (value) {
+        return templateEngine.toText(value).toUpperCase();
+      },
+      downcase: function (value) {
+        return templateEngine.toText(value).toLowerCase();
+      },
+      capitalize: function (value) {
+        const text = templateEngine.toText(value);
+        return text.charAt(0).toUpperCase() + text.slice(1);
+      },
+      money: function (value) {
+        return utils.formatMoney(value);
+      },
+      round: function (value, decimals) {
+        const factor = Math.pow(10, parseInt(decimals, 10) || 0);
+        return Math.round(Number(value) * factor) / factor;
+      },
+      default: function (value, fallback) {
+        return value === null || value === undefined || value === '' || value === false ? fallback : value;
+      }
+    },
+
+    parsed: new Map(),  // Parsed templates by source
+    unresolved: new Set(), // Paths already reported as unresolved
+
+    // Render a template with a context object; output paths without a
+    // value (and no default filter) are added to the `missing` array
+    render: function (template, context, missing) {
+      return this.renderNodes(this.parse(template).nodes, context, missing || []);
+    },
+
+    // Check a template for syntax errors, unknown variables and unknown
+    // filters. `variables` maps each variable to its known fields: an array
+    // of field names, true for any field, or false for a plain value
+    validate: function (template, variables) {
+      const result = this.parse(template);
+      const errors = result.errors.slice();
+
+      const checkPath = (path) => {
+        if (this.isLiteral(path)) return;
+
+        const keys = path.split('.');
+        const fields = Object.prototype.hasOwnProperty.call(variables, keys[0]) ? variables[keys[0]] : undefined;
+        const known = fields !== undefined && (keys.length === 1 || fields === true ||
+          (Array.isArray(fields) && fields.indexOf(keys[1]) !== -1));
+
+        if (!known) errors.push(`Unknown variable "${path}"`);
+      };
+
+      const walk = (nodes) => {
+        nodes.forEach(node => {
+          if (node.type === 'output') {
+            checkPath(node.expression.value);
+            node.expression.filters.forEach(filter => {
+              if (!this.filters[filter.name]) errors.push(`Unknown filter "${filter.name}"`);
+            });
+          } else if (node.type === 'if') {
+            node.branches.forEach(branch => {
+              this.tokenizeCondition(branch.condition).forEach(token => {
+                if (!/^(==|!=|>=|<=|>|<|contains|and|or)$/.test(token)) checkPath(token);
+              });
+              walk(branch.body);
+            });
+          }
+        });
+      };
+
+      walk(result.nodes);
+      return errors;
+    },
+
+    // Parse a template into text, output and if nodes
+    parse: function (template) {
+      if (this.parsed.has(template)) return this.parsed.get(template);
+
+      const errors = [];
+      const root = { nodes: [] };
+      const stack = [];
+      let current = root.nodes;
+
+      String(template).split(/(\{\{[\s\S]*?\}\}|\{%[\s\S]*?%\})/).forEach(part => {
+        if (!part) return;
+
+        if (part.indexOf('{{') === 0) {
+          current.push({ type: 'output', expression: this.parseExpression(part.slice(2, -2)) });
+          return;
         }
-        
-        .${CONFIG.badgePrefix}-pos-4 {
-          top: 50%;
-          left: 10px;
-          transform: translateY(-50%);
+
+        if (part.indexOf('{%') !== 0) {
+          current.push({ type: 'text', value: part });
+          return;
         }
-        
-        .${CONFIG.badgePrefix}-pos-5 {
-          top: 50%;
-          left: 50%;
-          transform: translate(-50%, -50%);
+
+        const tag = part.slice(2, -2).trim();
+        const name = tag.split(/\s+/)[0];
+        const argument = tag.slice(name.length).trim();
+        const open = stack[stack.length - 1];
+
+        if (name === 'if' || name === 'unless') {
+          const node = { type: 'if', negate: name === 'unless', branches: [{ condition: argument, body: [] }], elseBody: [] };
+          current.push(node);
+          stack.push({ node: node, parentBody: current });
+          current = node.branches[0].body;
+        } else if (name === 'elsif' && open) {
+          open.node.branches.push({ condition: argument, body: [] });
+          current = open.node.branches[open.node.branches.length - 1].body;
+        } else if (name === 'else' && open) {
+          current = open.node.elseBody;
+        } else if ((name === 'endif' || name === 'endunless') && open) {
+          current = stack.pop().parentBody;
+        } else {
+          errors.push(`Unexpected tag "{% ${tag} %}"`);
         }
-        
-        .${CONFIG.badgePrefix}-pos-6 {
-          top: 50%;
-          right: 10px;
-          transform: translateY(-50%);
+      });
+
+      if (stack.length > 0) {
+        errors.push('Missing {% endif %}');
+      }
+
+      const result = { nodes: root.nodes, errors: errors };
+      this.parsed.set(template, result);
+      return result;
+    },
+
+    // Parse "value | filter: arg1, arg2" into its parts
+    parseExpression: function (source) {
+      const parts = this.splitOutsideQuotes(source, '|');
+      const filters = parts.slice(1).map(part => {
+        const index = part.indexOf(':');
+        const name = (index === -1 ? part : part.slice(0, index)).trim();
+        const args = index === -1 ? [] : this.splitOutsideQuotes(part.slice(index + 1), ',').map(arg => arg.trim());
+        return { name: name, args: args };
+      });
+
+      return { value: parts[0].trim(), filters: filters };
+    },
+
+    // Render parsed nodes
+    renderNodes: function (nodes, context, missing) {
+      return nodes.map(node => {
+        if (node.type === 'text') return node.value;
+
+        if (node.type === 'output') {
+          let value = this.resolveValue(node.expression.value, context);
+          const hasDefault = node.expression.filters.some(filter => filter.name === 'default');
+
+          if (value === undefined && !hasDefault) {
+            missing.push(node.expression.value);
+
+            if (!this.unresolved.has(node.expression.value)) {
+              this.unresolved.add(node.expression.value);
+              utils.log(`Template variable "${node.expression.value}" has no value`, 'warn');
+            }
+          }
+
+          node.expression.filters.forEach(filter => {
+            const fn = this.filters[filter.name];
+            if (fn) {
+              value = fn.apply(null, [value].concat(filter.args.map(arg => this.resolveValue(arg, context))));
+            }
+          });
+          return this.toText(value);
         }
-        
-        .${CONFIG.badgePrefix}-pos-7 {
-          bottom: 10px;
-          left: 10px;
+
+        // if / elsif / else
+        for (let i = 0; i < node.branches.length; i++) {
+          let matches = this.evaluateCondition(node.branches[i].condition, context);
+          if (i === 0 && node.negate) matches = !matches;
+          if (matches) return this.renderNodes(node.branches[i].body, context, missing);
         }
-        
-        .${CONFIG.badgePrefix}-pos-8 {
-          bottom: 10px;
-          left: 50%;
-          transform: translateX(-50%);
+        return this.renderNodes(node.elseBody, context, missing);
+      }).join('');
+    },
+
+    // Evaluate "a > 1 and b contains 'x' or c"; "and" binds tighter than "or"
+    evaluateCondition: function (condition, context) {
+      const tokens = this.tokenizeCondition(condition);
+
+      return this.splitTokens(tokens, 'or').some(orPart => {
+        return this.splitTokens(orPart, 'and').every(andPart => {
+          if (andPart.length === 3) {
+            return this.compare(
+              this.resolveValue(andPart[0], context),
+              andPart[1],
+              this.resolveValue(andPart[2], context)
+            );
+          }
+
+          return this.isTruthy(this.resolveValue(andPart[0], context));
+        });
+      });
+    },
+
+    // Compare two values with a Liquid operator
+    compare: function (left, operator, right) {
+      const numeric = !isNaN(parseFloat(left)) && !isNaN(parseFloat(right));
+      const a = numeric ? parseFloat(left) : left;
+      const b = numeric ? parseFloat(right) : right;
+
+      switch (operator) {
+        case '==': return a === b || (a == null && b == null);
+        case '!=': return !(a === b || (a == null && b == null));
+        case '>': return a > b;
+        case '<': return a < b;
+        case '>=': return a >= b;
+        case '<=': return a <= b;
+        case 'contains':
+          if (Array.isArray(left)) return left.indexOf(right) !== -1;
+          return left != null && String(left).indexOf(right) !== -1;
+        default: return false;
+      }
+    },
+
+    // Resolve a literal ('text', 12, true, nil) or a dotted variable path;
+    // only own properties are followed, never the prototype chain
+    resolveValue: function (token, context) {
+      if (token === undefined) return undefined;
+      if (/^'.*'$|^".*"$/.test(token)) return token.slice(1, -1);
+      if (/^-?\d+(\.\d+)?$/.test(token)) return parseFloat(token);
+      if (token === 'true') return true;
+      if (token === 'false') return false;
+      if (token === 'nil' || token === 'null') return null;
+
+      return token.split('.').reduce((value, key) => {
+        if (value === null || value === undefined) return undefined;
+        return Object.prototype.hasOwnProperty.call(Object(value), key) ? value[key] : undefined;
+      }, context);
+    },
+
+    // Check if a token is a literal rather than a variable
+    isLiteral: function (token) {
+      return /^'.*'$|^".*"$|^-?\d+(\.\d+)?$|^(true|false|nil|null)$/.test(token);
+    },
+
+    // Liquid truthiness: only nil and false are falsy
+    isTruthy: function (value) {
+      return value !== null && value !== undefined && value !== false;
+    },
+
+    // Split a condition into values, operators and and/or
+    tokenizeCondition: function (condition) {
+      return String(condition).match(/'[^']*'|"[^"]*"|==|!=|>=|<=|>|<|[^\s=!<>]+/g) || [];
+    },
+
+    // Split a token list on a keyword
+    splitTokens: function (tokens, keyword) {
+      const groups = [[]];
+      tokens.forEach(token => {
+        if (token === keyword) {
+          groups.push([]);
+        } else {
+          groups[groups.length - 1].push(token);
         }
-        
-        .${CONFIG.badgePrefix}-pos-9 {
-          bottom: 10px;
-          right: 10px;
+      });
+      return groups;
+    },
+
+    // Split a string on a separator that isn't inside quotes
+    splitOutsideQuotes: function (source, separator) {
+      const parts = [''];
+      let quote = null;
+
+      for (const char of source) {
+        if (quote) {
+          if (char === quote) quote = null;
+        } else if (char === '"' || char === "'") {
+          quote = char;
+        } else if (char === separator) {
+          parts.push('');
+          continue;
         }
-        
-        /* Stacked badges */
-        .${CONFIG.badgePrefix}-pos-1.${CONFIG.badgePrefix}-stacked-1 { top: 50px; }
-        .${CONFIG.badgePrefix}-pos-1.${CONFIG.badgePrefix}-stacked-2 { top: 90px; }
-        .${CONFIG.badgePrefix}-pos-2.${CONFIG.badgePrefix}-stacked-1 { top: 50px; }
-        .${CONFIG.badgePrefix}-pos-2.${CONFIG.badgePrefix}-stacked-2 { top: 90px; }
-        .${CONFIG.badgePrefix}-pos-3.${CONFIG.badgePrefix}-stacked-1 { top: 50px; }
-        .${CONFIG.badgePrefix}-pos-3.${CONFIG.badgePrefix}-stacked-2 { top: 90px; }
-        .${CONFIG.badgePrefix}-pos-7.${CONFIG.badgePrefix}-stacked-1 { bottom: 50px; }
-        .${CONFIG.badgePrefix}-pos-7.${CONFIG.badgePrefix}-stacked-2 { bottom: 90px; }
-        .${CONFIG.badgePrefix}-pos-8.${CONFIG.badgePrefix}-stacked-1 { bottom: 50px; }
-        .${CONFIG.badgePrefix}-pos-8.${CONFIG.badgePrefix}-stacked-2 { bottom: 90px; }
-        .${CONFIG.badgePrefix}-pos-9.${CONFIG.badgePrefix}-stacked-1 { bottom: 50px; }
-        .${CONFIG.badgePrefix}-pos-9.${CONFIG.badgePrefix}-stacked-2 { bottom: 90px; }
-        
-        /* Animations */
-        .${CONFIG.badgePrefix}-animate-pulse {
-          animation: ${CONFIG.badgePrefix}-pulse 2s infinite;
+        parts[parts.length - 1] += char;
+      }
+
+      return parts;
+    },
+
+    // Convert a value to output text
+    toText: function (value) {
+      if (value === null || value === undefined) return '';
+      if (Array.isArray(value)) return value.join(', ');
+      if (typeof value === 'object') return '';
+      return String(value);
+    }
+  };
+
+  // One shared timer for every countdown badge on the page; it ticks on
+  // the second and pauses while the tab is hidden
+  const countdownTicker = {
+    entries: new Set(),     // { element, badge, product, text } per countdown badge
+    timer: null,
+    visibilityHandler: null,
+
+    // Keep a countdown badge updated until it ends or leaves the page
+    add: function (entry) {
+      this.entries.add(entry);
+
+      // Pause while the tab is hidden
+      if (!this.visibilityHandler) {
+        this.visibilityHandler = () => {
+          if (document.hidden) {
+            this.stop();
+          } else {
+            this.tick();
+          }
+        };
+        document.addEventListener('visibilitychange', this.visibilityHandler);
+      }
+
+      if (!this.timer && !document.hidden) {
+        this.schedule();
+      }
+    },
+
+    // Wait for the start of the next second
+    schedule: function () {
+      clearTimeout(this.timer);
+      this.timer = setTimeout(() => this.tick(), 1000 - (Date.now() % 1000) + 10);
+    },
+
+    // Update every countdown, dropping badges that ended or were removed
+    tick: function () {
+      const now = Date.now();
+      this.timer = null;
+
+      this.entries.forEach(entry => {
+        if (!entry.element.isConnected || !TagifyBadges.updateCountdown(entry, now)) {
+          this.entries.delete(entry);
         }
-        
-        @keyframes ${CONFIG.badgePrefix}-pulse {
-          0% { transform: scale(1); }
-          50% { transform: scale(1.1); }
-          100% { transform: scale(1); }
+      });
+
+      if (this.entries.size > 0 && !document.hidden) {
+        this.schedule();
+      }
+    },
+
+    stop: function () {
+      clearTimeout(this.timer);
+      this.timer = null;
+    },
+
+    clear: function () {
+      this.stop();
+      this.entries.clear();
+
+      if (this.visibilityHandler) {
+        document.removeEventListener('visibilitychange', this.visibilityHandler);
+        this.visibilityHandler = null;
+      }
+    }
+  };
+
+  // Main badge application
+  const TagifyBadges = {
+    // State management
+    state: {
+      shopDomain: '',
+      badges: [],
+      processedElements: new WeakSet(),
+      config: null,
+      ready: false,
+      observer: null,
+      pollTimer: null,
+      pendingRoots: new Set(),
+      scanScheduled: false,
+      lazyObserver: null,
+      lazyHandles: new Map(),           // Product handles of containers waiting to come into view
+      inlineGroups: new WeakMap(),
+      containerProducts: new WeakMap(), // Product each container was evaluated for
+      apiContainers: new WeakSet(),     // Containers badged through Tagmaster.applyTo
+      pageMetafields: null,
+      scheduleTimer: null,
+      settings: {},
+      shadowSheet: null,
+      ruleSheet: null,
+      badgeRules: '',
+      resizeHandler: null,
+      layoutTimer: null,
+      pageType: 'unknown',
+      collection: null,
+      isProcessing: false,
+      initialized: false,
+      scanCount: 0,
+      appliedBadges: 0,
+      productPage: null,
+      selectedVariantId: null,
+      variantHandlers: null,
+      watching: false,
+      generation: 0,
+      initialPath: window.location.pathname,
+      currentPath: null,
+      navigationBound: false,
+      navigationHandlers: null,
+      navigationTimer: null
+    },
+
+    /**
+     * Initialize the badge application
+     */
+    init: function () {
+      if (this.state.initialized) return;
+
+      utils.log('Initializing TagifyBadges...');
+
+      // Set shop domain
+      this.state.shopDomain = utils.getShopDomain();
+      utils.log(`Shop domain: ${this.state.shopDomain}`);
+
+      // Detect page type
+      this.detectPageType();
+      this.state.collection = this.getCurrentCollection();
+      utils.log(`Page type detected: ${this.state.pageType}`);
+
+      // Add base styles
+      this.injectBaseStyles();
+      utils.log('Base styles injected');
+
+      // Fetch badge configurations
+      this.fetchBadges();
+
+      // Re-initialise after client-side navigation
+      this.setupNavigationListeners();
+
+      // Keep stacked badges apart when the layout changes
+      this.setupLayoutListeners();
+
+      // Mark as initialized
+      this.state.initialized = true;
+    },
+
+    /**
+     * Stop watching the page and remove everything the script added
+     */
+    destroy: function () {
+      if (!this.state.initialized) return;
+
+      utils.log('Destroying TagifyBadges...');
+
+      // Invalidate callbacks of requests that are still running
+      this.state.generation++;
+
+      if (this.state.observer) {
+        this.state.observer.disconnect();
+        this.state.observer = null;
+      }
+
+      if (this.state.lazyObserver) {
+        this.state.lazyObserver.disconnect();
+        this.state.lazyObserver = null;
+      }
+
+      if (this.state.pollTimer) {
+        clearInterval(this.state.pollTimer);
+        this.state.pollTimer = null;
+      }
+
+      this.removeVariantListeners();
+      this.removeNavigationListeners();
+
+      clearTimeout(this.state.scheduleTimer);
+      this.state.scheduleTimer = null;
+      countdownTicker.clear();
+
+      if (this.state.resizeHandler) {
+        window.removeEventListener('resize', this.state.resizeHandler);
+        clearTimeout(this.state.layoutTimer);
+        this.state.resizeHandler = null;
+      }
+
+      // Remove badges and processing markers
+      this.resetBadges();
+
+      // Rules are generated again from the next configuration
+      const rules = document.getElementById(`${CONFIG.badgePrefix}-rules`);
+      if (rules) rules.remove();
+      this.state.badgeRules = '';
+
+      document.querySelectorAll(`.${CONFIG.containerClass}`).forEach(container => {
+        container.classList.remove(CONFIG.containerClass);
+
+        if (container.hasAttribute('data-tm-position')) {
+          container.style.position = '';
+          container.removeAttribute('data-tm-position');
+        }
+      });
+
+      Object.assign(this.state, {
+        config: null,
+        badges: [],
+        ready: false,
+        watching: false,
+        initialized: false,
+        isProcessing: false,
+        productPage: null,
+        selectedVariantId: null,
+        pendingRoots: new Set(),
+        scanScheduled: false,
+        lazyHandles: new Map(),
+        inlineGroups: new WeakMap(),
+        containerProducts: new WeakMap(),
+        apiContainers: new WeakSet(),
+        pageMetafields: null,
+        settings: {}
+      });
+    },
+
+    /**
+     * Tear down and initialise again for the current page
+     */
+    reinit: function () {
+      this.destroy();
+      this.init();
+    },
+
+    /**
+     * Check if the URL is still the one the page was loaded with; page
+     * globals like meta and ShopifyAnalytics go stale after client-side navigation
+     */
+    isInitialPage: function () {
+      return window.location.pathname === this.state.initialPath;
+    },
+
+    /**
+     * Listen for client-side navigation (history API, Swup, Turbo)
+     */
+    setupNavigationListeners: function () {
+      if (this.state.navigationBound) return;
+      this.state.navigationBound = true;
+
+      this.state.currentPath = window.location.pathname;
+
+      const onNavigate = () => {
+        // Query string changes (e.g. ?variant=) are not a new page
+        if (window.location.pathname === this.state.currentPath) return;
+
+        this.state.currentPath = window.location.pathname;
+
+        clearTimeout(this.state.navigationTimer);
+        this.state.navigationTimer = setTimeout(() => {
+          utils.log(`Navigated to ${window.location.pathname}, re-initialising`);
+          this.reinit();
+        }, CONFIG.navigationDelay);
+      };
+
+      const handlers = { navigate: onNavigate, active: true, history: {} };
+
+      // The history API has no events for pushState/replaceState
+      ['pushState', 'replaceState'].forEach(method => {
+        const original = window.history[method];
+
+        const patched = function () {
+          const result = original.apply(this, arguments);
+          if (handlers.active) onNavigate();
+          return result;
+        };
+
+        window.history[method] = patched;
+        handlers.history[method] = { original: original, patched: patched };
+      });
+
+      window.addEventListener('popstate', onNavigate);
+
+      // Page transition libraries
+      CONFIG.navigationEvents.forEach(eventName => {
+        document.addEventListener(eventName, onNavigate);
+      });
+
+      this.state.navigationHandlers = handlers;
+
+      utils.log('Navigation listeners configured');
+    },
+
+    /**
+     * Remove the navigation listeners and restore the history methods
+     */
+    removeNavigationListeners: function () {
+      const handlers = this.state.navigationHandlers;
+      if (!handlers) return;
+
+      // Another script may have wrapped our patch since; leave its wrapper
+      // in place and only switch ours off
+      handlers.active = false;
+      Object.keys(handlers.history).forEach(method => {
+        if (window.history[method] === handlers.history[method].patched) {
+          window.history[method] = handlers.history[method].original;
+        }
+      });
+
+      window.removeEventListener('popstate', handlers.navigate);
+      CONFIG.navigationEvents.forEach(eventName => {
+        document.removeEventListener(eventName, handlers.navigate);
+      });
+
+      clearTimeout(this.state.navigationTimer);
+      this.state.navigationTimer = null;
+      this.state.navigationHandlers = null;
+      this.state.navigationBound = false;
+    },
+
+    /**
+     * Re-run the badge layout when the viewport is resized
+     */
+    setupLayoutListeners: function () {
+      if (this.state.resizeHandler) return;
+
+      this.state.resizeHandler = () => {
+        clearTimeout(this.state.layoutTimer);
+        this.state.layoutTimer = setTimeout(() => {
+          document.querySelectorAll(`.${CONFIG.containerClass}`).forEach(container => {
+            this.layoutBadges(container);
+          });
+        }, 150);
+      };
+
+      window.addEventListener('resize', this.state.resizeHandler);
+    },
+
+    /**
+     * Detect the current page type
+     */
+    detectPageType: function () {
+      // Page globals describe the page that was loaded, not the current one
+      if (this.isInitialPage()) {
+        this.detectPageTypeFromGlobals();
+        if (this.state.pageType !== 'unknown') return;
+      }
+
+      // Check URL pattern
+      const path = window.location.pathname;
+      if (path.includes('/products/')) {
+        this.state.pageType = 'product';
+      } else if (path.includes('/collections/')) {
+        this.state.pageType = 'collection';
+      } else {
+        this.state.pageType = 'other';
+      }
+    },
+
+    /**
+     * Detect the page type from theme and Shopify globals
+     */
+    detectPageTypeFromGlobals: function () {
+      this.state.pageType = 'unknown';
+
+      // Check meta.page (common in many themes)
+      if (typeof meta !== 'undefined' && meta.page && meta.page.pageType) {
+        this.state.pageType = meta.page.pageType;
+        return;
+      }
+
+      // Check Shopify object
+      if (typeof Shopify !== 'undefined') {
+        if (Shopify.template) {
+          this.state.pageType = Shopify.template;
+        }
+      }
+    },
+
+    /**
+     * Inject base CSS styles for badges
+     */
+    injectBaseStyles: function () {
+      // Check if styles are already injected
+      if (document.getElementById(`${CONFIG.badgePrefix}-styles`)) return;
+
+      const style = document.createElement('style');
+      style.id = `${CONFIG.badgePrefix}-styles`;
+      style.innerHTML = this.getBadgeStyles();
+
+      document.head.appendChild(style);
+    },
+
+    /**
+     * Get the base CSS for badges, shared by the page and shadow badge layers
+     */
+    getBadgeStyles: function () {
+      return `
+        /* Badge container */
+        .${CONFIG.containerClass} {
+          position: relative !important;
+          overflow: visible !important;
         }
         
-        .${CONFIG.badgePrefix}-animate-bounce {
-          animation: ${CONFIG.badgePrefix}-bounce 1s infinite;
+        /* Base badge styles */
+        .${CONFIG.badgePrefix} {
+          position: absolute;
+          z-index: ${CONFIG.badgeZIndex};
+          display: inline-block;
+          font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif;
+          font-weight: 700;
+          line-height: 1.2;
+          text-align: center;
+          text-transform: uppercase;
+          letter-spacing: 0.5px;
+          box-shadow: 0 2px 4px rgba(0,0,0,0.2);
+          white-space: nowrap;
+          animation: ${CONFIG.badgePrefix}-appear 300ms forwards;
+          box-sizing: content-box;
         }
         
-        @keyframes ${CONFIG.badgePrefix}-bounce {
-          0%, 100% { transform: translateY(0); }
-          50% { transform: translateY(-10px); }
+        /* Appearance animation */
+        @keyframes ${CONFIG.badgePrefix}-appear {
+          0% { opacity: 0; transform: scale(0.8); }
+          100% { opacity: 1; transform: scale(1); }
         }
         
-        .${CONFIG.badgePrefix}-animate-shake {
-          animation: ${CONFIG.badgePrefix}-shake 0.82s cubic-bezier(.36,.07,.19,.97) infinite;
+        /* Badge shapes */
+        .${CONFIG.badgePrefix}-standard {
+          border-radius: 4px;
+          padding: 5px 10px;
         }
         
-        @keyframes ${CONFIG.badgePrefix}-shake {
-          10%, 90% { transform: translate3d(-1px, 0, 0); }
-          20%, 80% { transform: translate3d(2px, 0, 0); }
-          30%, 50%, 70% { transform: translate3d(-3px, 0, 0); }
-          40%, 60% { transform: translate3d(3px, 0, 0); }
+        .${CONFIG.badgePrefix}-circle {
+          border-radius: 50%;
+          padding: 0;
+          min-width: 40px;
+          min-height: 40px;
+          display: flex;
+          align-items: center;
+          justify-content: center;
         }
         
-        .${CONFIG.badgePrefix}-animate-spin {
-          animation: ${CONFIG.badgePrefix}-spin 2s linear infinite;
+        .${CONFIG.badgePrefix}-ribbon {
+          clip-path: polygon(0 0, 100% 0, 100% 70%, 50% 100%, 0 70%);
+          padding: 5px 12px;
         }
         
-        @keyframes ${CONFIG.badgePrefix}-spin {
-          from { transform: rotate(0deg); }
-          to { transform: rotate(360deg); }
+        .${CONFIG.badgePrefix}-star {
+          clip-path: polygon(50% 0%, 61% 35%, 98% 35%, 68% 57%, 79% 91%, 50% 70%, 21% 91%, 32% 57%, 2% 35%, 39% 35%);
+          padding: 15px;
+          display: flex;
+          align-items: center;
+          justify-content: center;
         }
         
-        .${CONFIG.badgePrefix}-animate-fade-in {
-          animation: ${CONFIG.badgePrefix}-fade 1.5s ease-in-out infinite alternate;
+        .${CONFIG.badgePrefix}-sale {
+          clip-path: polygon(0% 0%, 100% 0%, 100% 70%, 85% 100%, 0% 100%);
+          padding: 5px 15px 5px 10px;
         }
         
-        @keyframes ${CONFIG.badgePrefix}-fade {
-          from { opacity: 0.5; }
-          to { opacity: 1; }
+        .${CONFIG.badgePrefix}-new {
+          clip-path: polygon(15% 0%, 100% 0%, 100% 100%, 0% 100%, 0% 30%);
+          padding: 5px 10px 5px 15px;
         }
         
-        /* Responsive styles */
-        @media (max-width: 768px) {
-          .${CONFIG.badgePrefix} {
-            font-size: 11px !important;
-            padding: 3px 6px !important;
-          }
-          
-          .${CONFIG.badgePrefix}-circle {
-            min-width: 30px !important;
-            min-height: 30px !important;
+        .${CONFIG.badgePrefix}-popular {
+          transform: rotate(-5deg);
+          padding: 5px 10px;
+          border-radius: 4px;
+        }
+        
+        .${CONFIG.badgePrefix}-premium,
+        .${CONFIG.badgePrefix}-limited,
+        .${CONFIG.badgePrefix}-verified {
+          padding: 5px 10px;
+          border-radius: 4px;
+        }
+        
+        /* Image and SVG badges */
+        .${CONFIG.badgePrefix}.${CONFIG.badgePrefix}-graphic {
+          padding: 0 !important;
+          background: transparent;
+          box-shadow: none;
+          line-height: 0;
+        }
+        
+        .${CONFIG.badgePrefix}-graphic img,
+        .${CONFIG.badgePrefix}-graphic svg {
+          display: block;
+          max-width: none;
+        }
+        
+        /* Countdown badges keep their width while the digits change */
+        .${CONFIG.badgePrefix}-countdown {
+          font-variant-numeric: tabular-nums;
+        }
+        
+        /* Icon and text badges */
+        .${CONFIG.badgePrefix}-with-icon {
+          display: inline-flex;
+          align-items: center;
+          gap: 0.35em;
+        }
+        
+        .${CONFIG.badgePrefix}-icon {
+          display: block;
+          flex: none;
+          max-width: none;
+        }
+        
+        /* Position classes */
+        .${CONFIG.badgePrefix}-pos-1 {
+          top: 10px;
+          left: 10px;
+        }
+        
+        .${CONFIG.badgePrefix}-pos-2 {
+          top: 10px;
+          left: 50%;
+          transform: translateX(-50%);
+        }
+        
+        .${CONFIG.badgePrefix}-pos-3 {
+          top: 10px;
+          right: 10px;
+        }
+        
+        .${CONFIG.badgePrefix}-pos-4 {
+          top: 50%;
+          left: 10px;
+          transform: translateY(-50%);
+        }
+        
+        .${CONFIG.badgePrefix}-pos-5 {
+          top: 50%;
+          left: 50%;
+          transform: translate(-50%, -50%);
+        }
+        
+        .${CONFIG.badgePrefix}-pos-6 {
+          top: 50%;
+          right: 10px;
+          transform: translateY(-50%);
+        }
+        
+        .${CONFIG.badgePrefix}-pos-7 {
+          bottom: 10px;
+          left: 10px;
+        }
+        
+        .${CONFIG.badgePrefix}-pos-8 {
+          bottom: 10px;
+          left: 50%;
+          transform: translateX(-50%);
+        }
+        
+        .${CONFIG.badgePrefix}-pos-9 {
+          bottom: 10px;
+          right: 10px;
+        }
+        
+        /* Overflow badge standing in for hidden badges */
+        .${CONFIG.badgePrefix}-overflow {
+          position: absolute;
+          z-index: ${CONFIG.badgeZIndex};
+          padding: 4px 8px;
+          border-radius: 999px;
+          background: rgba(17, 24, 39, 0.85);
+          color: #FFFFFF;
+          font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif;
+          font-size: 12px;
+          font-weight: 700;
+          line-height: 1.2;
+          white-space: nowrap;
+          box-sizing: content-box;
+        }
+        
+        /* Animations */
+        .${CONFIG.badgePrefix}-animate-pulse {
+          animation: ${CONFIG.badgePrefix}-pulse 2s infinite;
+        }
+        
+        @keyframes ${CONFIG.badgePrefix}-pulse {
+          0% { transform: scale(1); }
+          50% { transform: scale(1.1); }
+          100% { transform: scale(1); }
+        }
+        
+        .${CONFIG.badgePrefix}-animate-bounce {
+          animation: ${CONFIG.badgePrefix}-bounce 1s infinite;
+        }
+        
+        @keyframes ${CONFIG.badgePrefix}-bounce {
+          0%, 100% { transform: translateY(0); }
+          50% { transform: translateY(-10px); }
+        }
+        
+        .${CONFIG.badgePrefix}-animate-shake {
+          animation: ${CONFIG.badgePrefix}-shake 0.82s cubic-bezier(.36,.07,.19,.97) infinite;
+        }
+        
+        @keyframes ${CONFIG.badgePrefix}-shake {
+          10%, 90% { transform: translate3d(-1px, 0, 0); }
+          20%, 80% { transform: translate3d(2px, 0, 0); }
+          30%, 50%, 70% { transform: translate3d(-3px, 0, 0); }
+          40%, 60% { transform: translate3d(3px, 0, 0); }
+        }
+        
+        .${CONFIG.badgePrefix}-animate-spin {
+          animation: ${CONFIG.badgePrefix}-spin 2s linear infinite;
+        }
+        
+        @keyframes ${CONFIG.badgePrefix}-spin {
+          from { transform: rotate(0deg); }
+          to { transform: rotate(360deg); }
+        }
+        
+        .${CONFIG.badgePrefix}-animate-fade-in {
+          animation: ${CONFIG.badgePrefix}-fade 1.5s ease-in-out infinite alternate;
+        }
+        
+        @keyframes ${CONFIG.badgePrefix}-fade {
+          from { opacity: 0.5; }
+          to { opacity: 1; }
+        }
+        
+        /* Inline badges next to the title, price or buttons */
+        .${CONFIG.badgePrefix}-inline-group {
+          display: flex;
+          flex-wrap: wrap;
+          align-items: center;
+          gap: 4px;
+          margin: 4px 0;
+        }
+        
+        .${CONFIG.badgePrefix}-inline-group[data-tm-placement="inside"] {
+          display: inline-flex;
+          margin: 0 0 0 6px;
+          vertical-align: middle;
+        }
+        
+        .${CONFIG.badgePrefix}.${CONFIG.badgePrefix}-inline {
+          position: relative;
+          box-shadow: none;
+        }
+      `;
+    },
+
+    /**
+     * Write the CSS generated from the badge config to the page and to
+     * shadow badge layers
+     */
+    injectBadgeRules: function () {
+      this.state.badgeRules = this.getBadgeRules();
+
+      let style = document.getElementById(`${CONFIG.badgePrefix}-rules`);
+      if (!style) {
+        style = document.createElement('style');
+        style.id = `${CONFIG.badgePrefix}-rules`;
+        document.head.appendChild(style);
+      }
+
+      style.textContent = this.state.badgeRules;
+
+      // Shadow roots share one stylesheet that updates in place
+      if (this.state.ruleSheet) {
+        this.state.ruleSheet.replaceSync(this.state.badgeRules);
+      }
+    },
+
+    /**
+     * Generate per-badge CSS: font size and padding, with overrides for each
+     * breakpoint from badge.responsive ({ mobile, tablet, desktop }). Badges
+     * are matched by data-tm-badge-id; position and shape overrides are
+     * applied by applyResponsiveState
+     */
+    getBadgeRules: function () {
+      const settings = this.state.settings;
+      const breakpoints = Object.assign({}, CONFIG.breakpoints, settings.breakpoints);
+      ['mobile', 'tablet'].forEach(name => {
+        const width = parseFloat(breakpoints[name]);
+        breakpoints[name] = isFinite(width) ? width : CONFIG.breakpoints[name];
+      });
+      const useContainer = settings.responsiveMode === 'container';
+      const at = useContainer ? `@container ${CONFIG.badgePrefix}s` : '@media';
+      const queries = {
+        mobile: `(max-width: ${breakpoints.mobile}px)`,
+        tablet: `(min-width: ${breakpoints.mobile + 1}px) and (max-width: ${breakpoints.tablet}px)`,
+        desktop: `(min-width: ${breakpoints.tablet + 1}px)`
+      };
+
+      // Values come from badge configuration, so only declarations the
+      // browser accepts are written and nothing can close the rule early
+      const isValidDeclaration = (property, value) => {
+        if (/[{};<>\\]/.test(value)) return false;
+        if (window.CSS && typeof window.CSS.supports === 'function') {
+          return window.CSS.supports(property, value);
+        }
+        return true;
+      };
+
+      const toCss = (selector, declarations) => {
+        const body = Object.keys(declarations)
+          .filter(property => declarations[property] != null && declarations[property] !== '')
+          .filter(property => {
+            const value = String(declarations[property]);
+            if (isValidDeclaration(property, value)) return true;
+
+            utils.log(`Ignoring invalid CSS "${property}: ${value}" for ${selector}`, 'warn');
+            return false;
+          })
+          .map(property => `${property}: ${declarations[property]};`)
+          .join(' ');
+
+        return body ? `${selector} { ${body} }` : '';
+      };
+      const toPx = (value) => typeof value === 'number' || /^\d+(\.\d+)?$/.test(value) ? `${value}px` : value;
+
+      const blocks = { base: [], mobile: [], tablet: [], desktop: [] };
+
+      // Container queries measure the script's own badge layer, which
+      // covers the card, so theme cards never get size containment
+      if (useContainer) {
+        const layer = `.${CONFIG.badgePrefix}-layer`;
+        blocks.base.push(`${layer} { position: absolute; top: 0; right: 0; bottom: 0; left: 0; display: block; margin: 0; padding: 0; pointer-events: none; z-index: ${CONFIG.badgeZIndex}; }`);
+        blocks.base.push(`${layer} > .${CONFIG.badgePrefix}, ${layer} > .${CONFIG.badgePrefix}-overflow { pointer-events: auto; }`);
+        blocks.base.push(`${layer}, :host(${layer}) { container: ${CONFIG.badgePrefix}s / inline-size; }`);
+      }
+
+      this.state.badges.forEach(badge => {
+        const selector = `.${CONFIG.badgePrefix}[data-tm-badge-id="${String(badge.id).replace(/["\\]/g, '\\$&')}"]`;
+        const responsive = badge.responsive || {};
+
+        blocks.base.push(toCss(selector, {
+          'font-size': toPx(badge.fontSize || 14),
+          padding: badge.padding
+        }));
+
+        ['mobile', 'tablet', 'desktop'].forEach(breakpoint => {
+          const isGraphic = badge.type === 'image' || badge.type === 'svg';
+          const defaults = breakpoint === 'mobile' && !isGraphic ? CONFIG.mobileDefaults : {};
+          const overrides = Object.assign({}, defaults, responsive[breakpoint]);
+          const shape = overrides.shape || badge.shape;
+
+          blocks[breakpoint].push(toCss(selector, {
+            'font-size': overrides.fontSize != null ? toPx(overrides.fontSize) : null,
+            padding: overrides.padding,
+            display: overrides.hidden ? 'none' : null,
+            'min-width': breakpoint === 'mobile' && shape === 'circle' ? '30px' : null,
+            'min-height': breakpoint === 'mobile' && shape === 'circle' ? '30px' : null
+          }));
+        });
+      });
+
+      return ['base', 'mobile', 'tablet', 'desktop'].map(block => {
+        const rules = blocks[block].filter(Boolean).join('\n');
+        if (!rules || block === 'base') return rules;
+
+        return `${at} ${queries[block]} {\n${rules}\n}`;
+      }).filter(Boolean).join('\n');
+    },
+
+    /**
+     * Fetch badge configurations from server
+     */
+    fetchBadges: function (force, callback) {
+      const url = `${CONFIG.badgeEndpoint}?shop=${this.state.shopDomain}`;
+      const cacheKey = `badges:${this.state.shopDomain}`;
+      const cached = cache.get(cacheKey);
+      const done = () => {
+        if (callback) callback(this.state.badges.slice());
+      };
+
+      // Paint immediately from the cached configuration
+      if (cached && !force) {
+        utils.log('Using cached badge configuration');
+        this.applyBadgeConfig(cached.value, 'cache');
+
+        if (cached.fresh) {
+          done();
+          return;
+        }
+      }
+
+      utils.log(`Fetching badges from ${url}`);
+
+      const generation = this.state.generation;
+
+      utils.fetchData(url, (data) => {
+        // Page was torn down while the request was running
+        if (generation !== this.state.generation) return;
+
+        if (!data || !data.badges) {
+          utils.log('No badges found or invalid data format', 'warn');
+
+          // fetchData has already reported a failed request
+          if (data) {
+            utils.dispatch('error', { message: 'Invalid badge configuration', url: url });
+          }
+
+          // Listeners waiting for ready still hear back, with whatever the
+          // cached configuration rendered (or no badges)
+          this.markReady();
+          done();
+          return;
+        }
+
+        cache.set(cacheKey, data, CONFIG.badgeCacheTtl);
+
+        // Compare with the configuration already in use
+        if (this.state.config) {
+          if (JSON.stringify(this.state.config) === JSON.stringify(data)) {
+            utils.log('Badge configuration unchanged');
+            done();
+            return;
+          }
+
+          utils.log('Badge configuration changed, re-rendering badges');
+          this.resetBadges();
+        }
+
+        this.applyBadgeConfig(data, 'network');
+        done();
+      });
+    },
+
+    /**
+     * Use a badge configuration and start processing the page
+     */
+    applyBadgeConfig: function (data, source) {
+      this.state.config = data;
+
+      const previousSettings = this.state.settings;
+
+      // Storefront-wide settings from the app, over the script defaults
+      this.state.settings = Object.assign({
+        enablePolling: CONFIG.enablePolling,
+        lazyLoad: CONFIG.lazyLoad,
+        lazyRootMargin: CONFIG.lazyRootMargin,
+        stackGap: CONFIG.stackGap,
+        stackDirection: CONFIG.stackDirection,
+        maxVisiblePerPosition: CONFIG.maxVisiblePerPosition,
+        maxBadgesPerProduct: CONFIG.maxBadgesPerProduct,
+        renderMode: CONFIG.renderMode,
+        responsiveMode: CONFIG.responsiveMode,
+        breakpoints: CONFIG.breakpoints,
+        groupLimits: {}
+      }, data.settings);
+
+      // The lazy observer keeps its root margin, start a new one for a new
+      // margin and move the containers still waiting over to it
+      if (this.state.lazyObserver && previousSettings.lazyRootMargin !== this.state.settings.lazyRootMargin) {
+        const waiting = Array.from(this.state.lazyHandles.entries());
+
+        this.state.lazyObserver.disconnect();
+        this.state.lazyObserver = null;
+        this.state.lazyHandles.clear();
+
+        waiting.forEach(entry => {
+          if (entry[0].isConnected) this.queueContainer(entry[0], entry[1]);
+        });
+      }
+
+      // Filter active badges
+      this.state.badges = (data.badges || []).filter(badge => badge.active === true);
+      utils.log(`Loaded ${this.state.badges.length} active badges`, 'info', this.state.badges);
+      utils.dispatch('config-loaded', { badges: this.state.badges.slice(), source: source });
+      this.validateBadgeTemplates();
+      this.injectBadgeRules();
+
+      if (this.state.badges.length === 0) {
+        utils.log('No active badges found', 'warn');
+        this.markReady();
+        return;
+      }
+
+      // Collection targeting has to be resolved before any badge is evaluated
+      const generation = this.state.generation;
+      collectionStore.resolveHandles(this.getUnresolvedCollectionIds(), () => {
+        if (generation !== this.state.generation) return;
+
+        collectionStore.load(this.getTargetedCollectionHandles(), () => {
+          if (generation !== this.state.generation) return;
+
+          this.processPage();
+          this.markReady();
+          this.startScheduleTimer();
+        });
+      });
+    },
+
+    /**
+     * Re-render badges when a scheduled badge's window opens or closes.
+     * Schedule windows have minute resolution, so badges are checked just
+     * after each minute starts, and at the next start or end date
+     */
+    startScheduleTimer: function () {
+      clearTimeout(this.state.scheduleTimer);
+      this.state.scheduleTimer = null;
+
+      const timedBadges = this.state.badges.filter(badge => badge.schedule || badge.startDate || badge.endDate);
+      if (timedBadges.length === 0) return;
+
+      timedBadges.filter(badge => !this.getBadgeTimezone(badge)).forEach(badge => {
+        utils.log(`Badge ${badge.id} has dates but no time zone, set settings.timezone to the shop's time zone`, 'warn');
+      });
+
+      const snapshot = () => timedBadges.map(badge => this.isBadgeScheduled(badge));
+      let active = snapshot();
+
+      const tick = () => {
+        const now = Date.now();
+        let delay = 60000 - (now % 60000);
+
+        timedBadges.forEach(badge => {
+          [badge.startDate, badge.endDate].forEach(value => {
+            const time = value ? utils.parseZonedDate(value, this.getBadgeTimezone(badge)).getTime() : NaN;
+
+            if (time > now && time - now < delay) {
+              delay = time - now;
+            }
+          });
+        });
+
+        this.state.scheduleTimer = setTimeout(() => {
+          const current = snapshot();
+          const changed = timedBadges.filter((badge, index) => current[index] !== active[index]);
+
+          if (changed.length > 0) {
+            active = current;
+            utils.log(`Schedule window changed for ${changed.length} badges, re-evaluating their products`);
+            this.refreshScheduledBadges(changed);
+          }
+
+          tick();
+        }, delay + 50);
+      };
+
+      tick();
+    },
+
+    /**
+     * Announce that the configuration is loaded and the page processed once
+     */
+    markReady: function () {
+      if (this.state.ready) return;
+      this.state.ready = true;
+
+      utils.dispatch('ready', {
+        badges: this.state.badges.slice(),
+        pageType: this.state.pageType
+      });
+    },
+
+    /**
+     * Apply badges to the current page and watch it for new products
+     */
+    processPage: function () {
+      // Start processing based on page type
+      if (this.state.pageType === 'product') {
+        this.processProductPage();
+      }
+
+      // Load collection products in bulk so cards don't fetch one by one
+      if (this.state.pageType === 'collection') {
+        productStore.loadCollection(this.getCollectionHandle());
+      }
+
+      // Process all pages
+      this.scanForProducts();
+
+      // Opt-in polling for themes whose updates the observer can't see
+      const shouldPoll = this.state.settings.enablePolling || !window.MutationObserver;
+      if (shouldPoll && !this.state.pollTimer) {
+        this.state.pollTimer = setInterval(() => this.scanForProducts(), CONFIG.scanInterval);
+      } else if (!shouldPoll && this.state.pollTimer) {
+        clearInterval(this.state.pollTimer);
+        this.state.pollTimer = null;
+      }
+
+      if (this.state.watching) return;
+      this.state.watching = true;
+
+      // Set up mutation observer for dynamic content
+      this.setupMutationObserver();
+    },
+
+    /**
+     * Remove all rendered badges so the page can be processed again
+     */
+    resetBadges: function () {
+      this.queryBadges(document).forEach(badgeElement => {
+        this.removeBadgeElement(badgeElement);
+      });
+
+      this.queryBadges(document, `.${CONFIG.badgePrefix}-overflow`).forEach(overflowElement => {
+        overflowElement.remove();
+      });
+
+      document.querySelectorAll(`.${CONFIG.badgePrefix}-layer`).forEach(layer => {
+        layer.remove();
+      });
+
+      document.querySelectorAll('[data-tm-processed]').forEach(element => {
+        element.removeAttribute('data-tm-processed');
+      });
+
+      this.state.processedElements = new WeakSet();
+    },
+
+    /**
+     * Set up mutation observer to detect newly added product elements
+     */
+    setupMutationObserver: function () {
+      if (!window.MutationObserver) return;
+
+      const observer = new MutationObserver((mutations) => {
+        mutations.forEach(mutation => {
+          if (mutation.type !== 'childList' || !mutation.addedNodes.length) return;
+
+          for (let i = 0; i < mutation.addedNodes.length; i++) {
+            const node = mutation.addedNodes[i];
+
+            // Skip non-element nodes
+            if (node.nodeType !== Node.ELEMENT_NODE) continue;
+
+            // Check if this is likely a product element
+            const hasProductLink = node.tagName === 'A' && node.href && node.href.includes('/products/');
+            const containsProductLink = !!node.querySelector('a[href*="/products/"]');
+
+            if (hasProductLink || containsProductLink) {
+              this.state.pendingRoots.add(node);
+            }
+          }
+        });
+
+        if (this.state.pendingRoots.size > 0) {
+          this.scheduleScan();
+        }
+      });
+
+      // Start observing the document with the configured parameters
+      observer.observe(document.body, {
+        childList: true,
+        subtree: true
+      });
+
+      this.state.observer = observer;
+      utils.log('Mutation observer configured');
+    },
+
+    /**
+     * Scan the subtrees added since the last scan once the browser is idle
+     */
+    scheduleScan: function () {
+      if (this.state.scanScheduled) return;
+      this.state.scanScheduled = true;
+
+      utils.requestIdle(() => {
+        this.state.scanScheduled = false;
+
+        const roots = Array.from(this.state.pendingRoots);
+        this.state.pendingRoots.clear();
+
+        // Skip roots that were removed again or sit inside another pending root
+        const scanRoots = roots.filter(root => root.isConnected && !roots.some(other => {
+          return other !== root && other.contains(root);
+        }));
+
+        if (scanRoots.length === 0) return;
+
+        utils.log(`New potential product elements detected in ${scanRoots.length} subtrees`);
+
+        // New cards can bring their own metafield scripts
+        this.state.pageMetafields = null;
+        scanRoots.forEach(root => this.scanForProducts(root));
+      });
+    },
+
+    /**
+     * Process product page
+     */
+    processProductPage: function () {
+      utils.log('Processing product page');
+
+      // Try to get product data
+      const productData = this.getProductData();
+      if (!productData) {
+        utils.log('No product data found on product page', 'warn');
+        return;
+      }
+
+      // Find primary product image container
+      const imageContainer = this.findProductImageContainer();
+      if (!imageContainer) {
+        utils.log('Could not find primary product image container', 'warn');
+        return;
+      }
+
+      const render = (product) => {
+        utils.log('Product data found', 'info', product);
+
+        // Remember the product so badges can be re-evaluated per variant
+        this.state.productPage = { product: product, container: imageContainer };
+        this.state.selectedVariantId = this.getSelectedVariantId(product);
+
+        // Apply badges for the selected variant
+        this.applyBadgesToElement(this.getVariantProduct(product, this.state.selectedVariantId), imageContainer);
+
+        // Follow variant changes made by the shopper
+        this.setupVariantListeners();
+      };
+
+      // Fetch the product JSON when the page only has a handle or a
+      // partial product (analytics globals)
+      if (productData.pending || !this.isFullProductData(productData)) {
+        const handle = productData.handle || this.extractProductHandleFromUrl(window.location.pathname);
+        const generation = this.state.generation;
+
+        this.fetchProductData(handle, (fetchedProductData) => {
+          if (generation !== this.state.generation) return;
+
+          if (!fetchedProductData) {
+            if (productData.pending) {
+              utils.log('Failed to fetch product data', 'error');
+              return;
+            }
+
+            utils.log('Failed to fetch product data, using the partial product from the page', 'warn');
+            render(productData);
+            return;
+          }
+
+          render(productData.pending ? fetchedProductData : Object.assign({}, productData, fetchedProductData));
+        });
+        return;
+      }
+
+      render(productData);
+    },
+
+    /**
+     * Check if product data from the page has what badges are evaluated
+     * against (prices, option values, availability, dates); meta.product
+     * and ShopifyAnalytics only carry id, price, name, public_title and sku
+     * per variant
+     */
+    isFullProductData: function (product) {
+      const variants = product.variants || [];
+      const hasDate = !!(product.published_at || product.created_at);
+
+      return !!product.handle && hasDate && Array.isArray(product.options) && variants.length > 0 && variants.every(variant => {
+        return variant.compare_at_price !== undefined && variant.available !== undefined &&
+          (Array.isArray(variant.options) || variant.option1 !== undefined);
+      });
+    },
+
+    /**
+     * Get the ID of the variant currently selected on the product page
+     */
+    getSelectedVariantId: function (product) {
+      // Method 1: ?variant= URL parameter
+      const urlVariant = new URLSearchParams(window.location.search).get('variant');
+      if (urlVariant) {
+        return urlVariant;
+      }
+
+      // Method 2: Variant input of the product form (select, radio or hidden input)
+      const input = document.querySelector(
+        'form[action*="/cart/add"] select[name="id"], ' +
+        'form[action*="/cart/add"] input[type="radio"][name="id"]:checked, ' +
+        'form[action*="/cart/add"] input[type="hidden"][name="id"]'
+      );
+      if (input && input.value) {
+        return input.value;
+      }
+
+      // Method 3: First available variant
+      if (product && product.variants && product.variants.length > 0) {
+        const variant = product.variants.find(v => v.available) || product.variants[0];
+        return variant.id;
+      }
+
+      return null;
+    },
+
+    /**
+     * Get a copy of the product with price, discount and stock taken from a variant
+     */
+    getVariantProduct: function (product, variantId) {
+      if (!product || !variantId || !product.variants) return product;
+
+      const variant = product.variants.find(v => String(v.id) === String(variantId));
+      if (!variant) return product;
+
+      return Object.assign({}, product, {
+        price: variant.price,
+        compare_at_price: variant.compare_at_price,
+        available: variant.available,
+        inventory_quantity: variant.inventory_quantity !== undefined ? variant.inventory_quantity : 0,
+        selected_variant: variant
+      });
+    },
+
+    /**
+     * Listen for variant changes on the product page
+     */
+    setupVariantListeners: function () {
+      if (this.state.variantHandlers) return;
+
+      const handlers = {
+        // Variant selects and radios; themes update the URL and form input in
+        // their own change handlers, so read the selection after they have run
+        change: (event) => {
+          const target = event.target;
+          if (!target || !target.closest) return;
+
+          const isVariantInput = target.name === 'id' ||
+            (target.name && target.name.indexOf('option') === 0) ||
+            target.closest('form[action*="/cart/add"], variant-radios, variant-selects, variant-picker');
+
+          if (isVariantInput) {
+            setTimeout(() => this.updateSelectedVariant(), 50);
+          }
+        },
+
+        // Custom event emitted by many themes
+        variantChange: (event) => {
+          const variant = event.detail && event.detail.variant;
+          this.updateSelectedVariant(variant ? variant.id : null);
+        },
+
+        // Back/forward navigation between ?variant= URLs
+        popstate: () => this.updateSelectedVariant()
+      };
+
+      document.addEventListener('change', handlers.change);
+      document.addEventListener('variant:change', handlers.variantChange);
+      window.addEventListener('popstate', handlers.popstate);
+
+      this.state.variantHandlers = handlers;
+      utils.log('Variant listeners configured');
+    },
+
+    /**
+     * Stop listening for variant changes
+     */
+    removeVariantListeners: function () {
+      const handlers = this.state.variantHandlers;
+      if (!handlers) return;
+
+      document.removeEventListener('change', handlers.change);
+      document.removeEventListener('variant:change', handlers.variantChange);
+      window.removeEventListener('popstate', handlers.popstate);
+
+      this.state.variantHandlers = null;
+    },
+
+    /**
+     * Re-evaluate product page badges when the selected variant changes
+     */
+    updateSelectedVariant: function (variantId) {
+      const page = this.state.productPage;
+      if (!page) return;
+
+      const selectedId = variantId || this.getSelectedVariantId(page.product);
+      if (!selectedId || String(selectedId) === String(this.state.selectedVariantId)) return;
+
+      utils.log(`Variant changed to ${selectedId}`);
+      this.state.selectedVariantId = selectedId;
+
+      // Replace badges with the ones matching the new variant
+      this.removeBadges(page.container);
+      this.applyBadgesToElement(this.getVariantProduct(page.product, selectedId), page.container);
+    },
+
+    /**
+     * Get product data on a product page
+     */
+    getProductData: function () {
+      // Try multiple methods to get product data
+      const globalsCurrent = this.isInitialPage();
+
+      // Method 1: Check meta.product
+      if (globalsCurrent && typeof meta !== 'undefined' && meta.product) {
+        return meta.product;
+      }
+
+      // Method 2: Check window.product
+      if (globalsCurrent && window.product) {
+        return window.product;
+      }
+
+      // Method 3: Check ShopifyAnalytics
+      if (
+        globalsCurrent &&
+        typeof ShopifyAnalytics !== 'undefined' &&
+        ShopifyAnalytics.meta &&
+        ShopifyAnalytics.meta.product
+      ) {
+        return ShopifyAnalytics.meta.product;
+      }
+
+      // Method 4: Look for product JSON in script tags
+      const jsonScriptSelectors = [
+        'script[type="application/json"][data-product-json]',
+        'script[id*="ProductJson-"]',
+        'script[data-product-json]'
+      ];
+
+      for (const selector of jsonScriptSelectors) {
+        const scripts = document.querySelectorAll(selector);
+        for (const script of scripts) {
+          try {
+            const json = JSON.parse(script.textContent);
+            if (json && (json.id || json.handle)) {
+              return json;
+            }
+          } catch (e) {
+            // Ignore parsing errors
+          }
+        }
+      }
+
+      // Method 5: Get product handle from URL and fetch product data
+      const handle = this.extractProductHandleFromUrl(window.location.pathname);
+      if (handle) {
+        // We'll need to fetch the product data asynchronously
+        // For now, return a placeholder with the handle
+        return { handle: handle, pending: true };
+      }
+
+      return null;
+    },
+
+    /**
+     * Find product image container on product page
+     */
+    findProductImageContainer: function () {
+      // Try selectors for common themes
+      const selectors = [
+        // Dawn theme
+        '.product__media-wrapper',
+        '.product__media-container',
+        '.product-single__media-wrapper',
+        '.product__image-wrapper',
+        // Debut theme
+        '.product-single__media',
+        '.product-featured-media-wrapper',
+        '.product-single__photos',
+        // Brooklyn theme
+        '.product-single__photo-wrapper',
+        // Other themes
+        '.featured-img-container',
+        '.product__slides',
+        '.product-single__photo-container',
+        // Generic fallbacks
+        '.product-images',
+        '.product-image',
+        '.product-gallery',
+        '.product-media',
+        '[class*="product-media"]',
+        '[class*="product-image"]'
+      ];
+
+      for (const selector of selectors) {
+        const container = document.querySelector(selector);
+        if (container) {
+          return container;
+        }
+      }
+
+      // Try to find a product image first, then get its container
+      const productImages = document.querySelectorAll(
+        'img[src*="/products/"], ' +
+        'img[srcset*="/products/"], ' +
+        'img[src*="/cdn.shopify.com/s/files/"], ' +
+        'img[src*="/cdn/shop/products/"]'
+      );
+
+      if (productImages.length > 0) {
+        // Find the largest image
+        let largest = productImages[0];
+        let largestArea = 0;
+
+        for (const img of productImages) {
+          if (img.complete && img.width && img.height) {
+            const area = img.width * img.height;
+            if (area > largestArea) {
+              largestArea = area;
+              largest = img;
+            }
+          }
+        }
+
+        // Get parent container (if any)
+        let container = largest.parentElement;
+        while (container && container !== document.body) {
+          if (
+            container.classList.contains('product-image') ||
+            container.classList.contains('product-media') ||
+            container.classList.contains('product-photo') ||
+            container.classList.contains('product__media')
+          ) {
+            return container;
+          }
+          container = container.parentElement;
+        }
+
+        // If no suitable container found, use image's direct parent
+        return largest.parentElement;
+      }
+
+      return null;
+    },
+
+    /**
+     * Scan for product elements on the page
+     */
+    scanForProducts: function (root) {
+      if (this.state.isProcessing || this.state.badges.length === 0) return;
+
+      this.state.isProcessing = true;
+      this.state.scanCount++;
+
+      utils.log(`Scanning for products (scan #${this.state.scanCount})`);
+
+      // Find product links, inside the given root if there is one
+      const selector = 'a[href*="/products/"]:not([data-tm-processed])';
+      const scope = root || document;
+      const productLinks = Array.from(scope.querySelectorAll(selector));
+
+      if (scope.matches && scope.matches(selector)) {
+        productLinks.unshift(scope);
+      }
+
+      if (productLinks.length === 0) {
+        this.state.isProcessing = false;
+        return;
+      }
+
+      utils.log(`Found ${productLinks.length} unprocessed product links`);
+
+      // Process each product link
+      for (let i = 0; i < productLinks.length; i++) {
+        const link = productLinks[i];
+
+        // Mark as processed
+        link.setAttribute('data-tm-processed', 'true');
+
+        // Extract product handle
+        const handle = this.extractProductHandleFromUrl(link.href);
+        if (!handle) continue;
+
+        // Find product container
+        const container = this.findProductContainer(link);
+        if (!container) continue;
+
+        // Skip if already processed
+        if (this.state.processedElements.has(container)) continue;
+
+        // Mark as processed
+        this.state.processedElements.add(container);
+
+        // Load badges once the product is near the viewport
+        this.queueContainer(container, handle);
+      }
+
+      this.state.isProcessing = false;
+    },
+
+    /**
+     * Defer loading a product container until it comes near the viewport
+     */
+    queueContainer: function (container, handle) {
+      if (!this.state.settings.lazyLoad || !window.IntersectionObserver) {
+        this.loadContainer(container, handle);
+        return;
+      }
+
+      if (!this.state.lazyObserver) {
+        this.state.lazyObserver = new IntersectionObserver((entries, observer) => {
+          entries.forEach(entry => {
+            if (!entry.isIntersecting) return;
+
+            observer.unobserve(entry.target);
+
+            const lazyHandle = this.state.lazyHandles.get(entry.target);
+            this.state.lazyHandles.delete(entry.target);
+            this.loadContainer(entry.target, lazyHandle);
+          });
+        }, { rootMargin: this.state.settings.lazyRootMargin });
+      }
+
+      this.state.lazyHandles.set(container, handle);
+      this.state.lazyObserver.observe(container);
+    },
+
+    /**
+     * Fetch product data for a container and apply its badges
+     */
+    loadContainer: function (container, handle) {
+      const generation = this.state.generation;
+
+      this.fetchProductData(handle, (productData) => {
+        if (productData && generation === this.state.generation) {
+          // Apply badges
+          this.applyBadgesToElement(productData, container);
+        }
+      });
+    },
+
+    /**
+     * Find product container from a product link
+     */
+    findProductContainer: function (link) {
+      if (!link) return null;
+
+      // Common selectors for product cards/containers
+      const selectors = [
+        '.product-card',
+        '.grid__item',
+        '.product-item',
+        '.card',
+        '.product',
+        '.card-wrapper',
+        '[class*="product-card"]',
+        '[class*="product-item"]'
+      ];
+
+      // Try to find container using selectors
+      for (const selector of selectors) {
+        const container = link.closest(selector);
+        if (container) return container;
+      }
+
+      // Walk up the DOM tree to find a suitable container
+      let element = link.parentElement;
+      let depth = 0;
+
+      while (element && depth < 4) {
+        // Check if this element contains product information
+        const hasImage = element.querySelector('img');
+        const hasPrice = element.querySelector('.price') || element.querySelector('[class*="price"]');
+
+        if (hasImage && hasPrice) {
+          return element;
+        }
+
+        element = element.parentElement;
+        depth++;
+      }
+
+      // Fallback to parent or grandparent
+      return link.parentElement || link;
+    },
+
+    /**
+     * Extract product handle from URL
+     */
+    extractProductHandleFromUrl: function (url) {
+      if (!url) return null;
+
+      const parts = url.split('/products/');
+      if (parts.length < 2) return null;
+
+      // Get handle and remove query parameters and hash
+      let handle = parts[1].split('?')[0].split('#')[0];
+
+      // Remove trailing slash if present
+      if (handle.endsWith('/')) {
+        handle = handle.slice(0, -1);
+      }
+
+      return handle;
+    },
+
+    /**
+     * Get the collection handle from the current URL
+     */
+    getCollectionHandle: function () {
+      const match = window.location.pathname.match(/\/collections\/([^/?#]+)/);
+      return match ? match[1] : null;
+    },
+
+    /**
+     * Get the collection being browsed, from the URL and page metadata
+     */
+    getCurrentCollection: function () {
+      const handle = this.getCollectionHandle();
+      let id = null;
+
+      const page = this.isInitialPage() && (
+        (typeof meta !== 'undefined' && meta.page) ||
+        (typeof ShopifyAnalytics !== 'undefined' && ShopifyAnalytics.meta && ShopifyAnalytics.meta.page)
+      );
+
+      if (page && page.resourceType === 'collection' && page.resourceId) {
+        id = utils.normalizeId(page.resourceId);
+      }
+
+      return handle || id ? { id: id, handle: handle } : null;
+    },
+
+    /**
+     * Normalize a collection reference (ID, GID, handle or { id, handle })
+     */
+    normalizeCollectionRef: function (entry) {
+      if (entry && typeof entry === 'object') {
+        return { id: utils.normalizeId(entry.id), handle: entry.handle || null };
+      }
+
+      const value = utils.normalizeId(entry);
+      return /^\d+$/.test(value) ? { id: value, handle: null } : { id: null, handle: value };
+    },
+
+    /**
+     * Get the handles of all collections targeted by active badges
+     */
+    getTargetedCollectionHandles: function () {
+      return this.getTargetedCollectionRefs()
+        .map(ref => ref.handle || collectionStore.handles[ref.id])
+        .filter((handle, index, handles) => handle && handles.indexOf(handle) === index);
+    },
+
+    /**
+     * Get the IDs of targeted collections that are referenced without a handle
+     */
+    getUnresolvedCollectionIds: function () {
+      return this.getTargetedCollectionRefs()
+        .filter(ref => !ref.handle && ref.id)
+        .map(ref => ref.id)
+        .filter((id, index, ids) => ids.indexOf(id) === index);
+    },
+
+    /**
+     * Get the collection references of all active badges
+     */
+    getTargetedCollectionRefs: function () {
+      const refs = [];
+
+      this.state.badges.forEach(badge => {
+        (badge.includedCollections || []).concat(badge.excludedCollections || []).forEach(entry => {
+          refs.push(this.normalizeCollectionRef(entry));
+        });
+      });
+
+      return refs;
+    },
+
+    /**
+     * Check if a product belongs to a collection
+     */
+    isProductInCollection: function (product, entry) {
+      const ref = this.normalizeCollectionRef(entry);
+      const current = this.state.collection;
+
+      // An ID-only reference resolves to its handle from /collections.json,
+      // or from the collection being browsed
+      if (!ref.handle && ref.id) {
+        ref.handle = collectionStore.handles[ref.id] ||
+          (current && current.id === ref.id ? current.handle : null);
+      }
+
+      // Fetched membership map; a miss in a truncated list is not a "no"
+      const members = ref.handle ? collectionStore.members[ref.handle] : null;
+      if (members) {
+        const isMember = members.ids.indexOf(utils.normalizeId(product.id)) !== -1;
+        if (isMember || members.complete) return isMember;
+      }
+
+      // Fall back to the collection being browsed
+      return !!current && (
+        (ref.handle && ref.handle === current.handle) ||
+        (ref.id && ref.id === current.id)
+      );
+    },
+
+    /**
+     * Check if a product matches a product reference (ID, GID or handle)
+     */
+    isProductMatch: function (product, entry) {
+      const value = utils.normalizeId(entry && typeof entry === 'object' ? entry.id : entry);
+      return value === utils.normalizeId(product.id) || value === product.handle;
+    },
+
+    /**
+     * Get a copy of the product with the metafields the theme exposes for
+     * it, or the product itself when there are none
+     */
+    withMetafields: function (product, container) {
+      const metafields = this.getProductMetafields(product, container);
+      if (!metafields) return product;
+
+      return Object.assign({}, product, {
+        metafields: Object.assign({}, product.metafields, metafields)
+      });
+    },
+
+    /**
+     * Collect a product's metafields from the page scripts and from a
+     * data-tagmaster-metafields attribute on (or inside) its card
+     */
+    getProductMetafields: function (product, container) {
+      const pageMetafields = this.getPageMetafields();
+      const sources = [
+        pageMetafields[product.handle],
+        pageMetafields[utils.normalizeId(product.id)]
+      ];
+
+      if (container) {
+        const element = container.matches('[data-tagmaster-metafields]')
+          ? container
+          : container.querySelector('[data-tagmaster-metafields]');
+
+        if (element) {
+          sources.push(this.parseMetafields(element));
+        }
+      }
+
+      const found = sources.filter(Boolean);
+      if (found.length === 0) return null;
+
+      // Merge namespace by namespace
+      return found.reduce((metafields, source) => {
+        Object.keys(source).forEach(namespace => {
+          metafields[namespace] = Object.assign({}, metafields[namespace], source[namespace]);
+        });
+        return metafields;
+      }, {});
+    },
+
+    /**
+     * Read <script type="application/json" data-tagmaster-metafields> tags.
+     * A script with data-product-handle or data-product-id holds one
+     * product's metafields; without, it maps product handles to metafields
+     */
+    getPageMetafields: function () {
+      if (this.state.pageMetafields) return this.state.pageMetafields;
+
+      const byProduct = {};
+
+      document.querySelectorAll('script[data-tagmaster-metafields]').forEach(script => {
+        const productKey = script.getAttribute('data-product-handle') ||
+          utils.normalizeId(script.getAttribute('data-product-id'));
+
+        if (productKey) {
+          byProduct[productKey] = this.parseMetafields(script);
+          return;
+        }
+
+        const map = this.parseMetafields(script, true) || {};
+        Object.keys(map).forEach(handle => {
+          byProduct[handle] = this.normalizeMetafields(map[handle]);
+        });
+      });
+
+      this.state.pageMetafields = byProduct;
+      return byProduct;
+    },
+
+    /**
+     * Parse metafield JSON from a script's text or an element's attribute
+     */
+    parseMetafields: function (element, raw) {
+      const json = element.tagName === 'SCRIPT'
+        ? element.textContent
+        : element.getAttribute('data-tagmaster-metafields');
+
+      try {
+        const value = JSON.parse(json || 'null');
+        return raw ? value : this.normalizeMetafields(value);
+      } catch (e) {
+        utils.log('Invalid data-tagmaster-metafields JSON', 'warn', e);
+        return null;
+      }
+    },
+
+    /**
+     * Normalize metafields to { namespace: { key: value } }. Accepts
+     * "namespace.key" keys and Shopify's { value, scale_min, ... } rating
+     * and measurement objects, which are reduced to their value
+     */
+    normalizeMetafields: function (metafields) {
+      if (!metafields || typeof metafields !== 'object') return null;
+
+      const toValue = (value) => {
+        return value && typeof value === 'object' && !Array.isArray(value) && 'value' in value ? value.value : value;
+      };
+
+      const normalized = {};
+
+      Object.keys(metafields).forEach(key => {
+        const value = metafields[key];
+        const dot = key.indexOf('.');
+
+        if (dot !== -1) {
+          const namespace = key.slice(0, dot);
+          normalized[namespace] = normalized[namespace] || {};
+          normalized[namespace][key.slice(dot + 1)] = toValue(value);
+        } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+          normalized[key] = normalized[key] || {};
+          Object.keys(value).forEach(name => {
+            normalized[key][name] = toValue(value[name]);
+          });
+        }
+      });
+
+      return normalized;
+    },
+
+    /**
+     * Fetch product data from Shopify
+     */
+    fetchProductData: function (handle, callback) {
+      if (!handle) {
+        callback(null);
+        return;
+      }
+
+      // Shared product data layer
+      productStore.get(handle, callback);
+    },
+
+    /**
+     * Apply badges to a product element
+     */
+    applyBadgesToElement: function (product, container) {
+      if (!product || !container) return;
+
+      // Kept so schedule changes can re-evaluate the container
+      this.state.containerProducts.set(container, product);
+
+      // Metafields exposed by the theme for this product
+      product = this.withMetafields(product, container);
+
+      // Get product tags
+      const productTags = this.getProductTags(product);
+
+      utils.log(`Applying badges to product: ${product.title || product.handle}`, 'info', {
+        productId: product.id,
+        tags: productTags
+      });
+
+      // Prepare container for badges
+      this.prepareContainer(container);
+
+      // Check each badge, then settle priorities and groups
+      const matching = this.state.badges.filter(badge => this.shouldApplyBadge(badge, product, productTags));
+      const resolved = this.resolveBadgeConflicts(matching, product);
+
+      // Re-evaluating a badged container drops badges that no longer apply;
+      // the ones that still do are kept as they are
+      this.removeStaleBadges(container, resolved.map(badge => String(badge.id)));
+
+      resolved.forEach(badge => {
+        // Labels placed next to the title, price or buttons
+        if (this.isInlinePlacement(badge)) {
+          const group = this.getInlineGroup(container, badge);
+          if (group && !this.createBadge(group, badge, product, null) && !this.getOwnBadgeElements(group).length) {
+            group.remove();
+          }
+          return;
+        }
+
+        // Create and add badge
+        this.createBadge(container, badge, product, this.getDisplayPosition(badge, container));
+      });
+
+      // Stack badges that share a position
+      this.layoutBadges(container);
+    },
+
+    /**
+     * Remove a container's badges (overlay and inline) whose IDs are not in `keepIds`
+     */
+    removeStaleBadges: function (container, keepIds) {
+      const isStale = (element) => element.classList.contains(CONFIG.badgePrefix) &&
+        keepIds.indexOf(element.getAttribute('data-tm-badge-id')) === -1;
+
+      this.getOwnBadgeElements(container).filter(isStale).forEach(badgeElement => {
+        this.removeBadgeElement(badgeElement);
+      });
+
+      const groups = (this.state.inlineGroups.get(container) || []).filter(group => {
+        this.getOwnBadgeElements(group).filter(isStale).forEach(badgeElement => {
+          this.removeBadgeElement(badgeElement);
+        });
+
+        if (this.getOwnBadgeElements(group).length > 0) return true;
+
+        group.remove();
+        return false;
+      });
+
+      this.state.inlineGroups.set(container, groups);
+    },
+
+    /**
+     * Re-evaluate the containers affected by badges whose schedule window
+     * opened or closed, with the products they were evaluated for. Badges
+     * added through Tagmaster.applyTo are left alone
+     */
+    refreshScheduledBadges: function (changedBadges) {
+      document.querySelectorAll(`.${CONFIG.containerClass}`).forEach(container => {
+        const product = this.state.containerProducts.get(container);
+        if (!product || this.state.apiContainers.has(container)) return;
+
+        const renderedIds = this.getOwnBadgeElements(container)
+          .concat((this.state.inlineGroups.get(container) || []).reduce((elements, group) => {
+            return elements.concat(this.getOwnBadgeElements(group));
+          }, []))
+          .map(element => element.getAttribute('data-tm-badge-id'));
+
+        const affected = changedBadges.some(badge => {
+          return renderedIds.indexOf(String(badge.id)) !== -1 || this.isBadgeScheduled(badge);
+        });
+
+        if (affected) {
+          this.applyBadgesToElement(product, container);
+        }
+      });
+    },
+
+    /**
+     * Stack the overlay badges of a container without overlaps. Badges are
+     * measured and offset from the previous badge at their position; those
+     * past maxVisiblePerPosition or the container's edge fold into "+N"
+     */
+    layoutBadges: function (container) {
+      if (!container) return;
+
+      const settings = this.state.settings;
+      const vertical = settings.stackDirection !== 'horizontal';
+      const gap = settings.stackGap || 0;
+      const inset = 10; // Edge offset used by the position classes
+
+      // Group badges by position, in render order
+      const slots = {};
+      this.getOwnBadgeElements(container).forEach(badgeElement => {
+        if (!badgeElement.classList.contains(CONFIG.badgePrefix)) {
+          badgeElement.remove();
+          return;
+        }
+
+        // Breakpoint overrides can move a badge or change its shape
+        const badgeId = badgeElement.getAttribute('data-tm-badge-id');
+        const badge = this.state.badges.find(config => String(config.id) === badgeId);
+
+        if (badge && badge.responsive) {
+          const position = this.isInlinePlacement(badge) ? null : this.getDisplayPosition(badge, container);
+          this.applyResponsiveState(badgeElement, badge, container, position);
+        }
+
+        const slot = badgeElement.getAttribute('data-tm-slot');
+        if (slot) {
+          (slots[slot] = slots[slot] || []).push(badgeElement);
+        }
+      });
+
+      // A container that isn't laid out yet has no size to respect
+      const available = (vertical ? container.clientHeight : container.clientWidth) - inset * 2;
+      const measure = (element) => vertical ? element.offsetHeight : element.offsetWidth;
+
+      Object.keys(slots).forEach(slot => {
+        slots[slot].forEach(badgeElement => {
+          badgeElement.style.display = '';
+          badgeElement.style.margin = '';
+        });
+
+        // Badges hidden at this breakpoint take no space
+        const elements = slots[slot].filter(badgeElement => window.getComputedStyle(badgeElement).display !== 'none');
+        if (!elements.length) return;
+
+        const sizes = elements.map(measure);
+        let visible = settings.maxVisiblePerPosition > 0
+          ? Math.min(elements.length, settings.maxVisiblePerPosition)
+          : elements.length;
+        let overflow = null;
+
+        for (;;) {
+          if (visible < elements.length) {
+            overflow = overflow || this.createOverflowBadge(container, slot);
+            overflow.textContent = `+${elements.length - visible}`;
+          }
+
+          let extent = sizes.slice(0, visible).reduce((sum, size) => sum + size + gap, 0);
+          extent += overflow ? measure(overflow) : -gap;
+
+          if (available <= 0 || visible <= 1 || extent <= available) break;
+          visible--;
+        }
+
+        const hidden = elements.slice(visible);
+        hidden.forEach(badgeElement => {
+          badgeElement.style.display = 'none';
+        });
+
+        const items = elements.slice(0, visible).map((element, i) => ({ element: element, size: sizes[i] }));
+
+        if (overflow) {
+          overflow.title = hidden.map(badgeElement => badgeElement.textContent).join(', ');
+          items.push({ element: overflow, size: measure(overflow) });
+        }
+
+        // Offset each badge along the stack from the position's edge, or
+        // around the middle for centred positions
+        const index = parseInt(slot) - 1;
+        const edge = vertical ? Math.floor(index / 3) : index % 3;
+        const total = items.reduce((sum, item) => sum + item.size, 0) + gap * (items.length - 1);
+        let offset = 0;
+
+        items.forEach(item => {
+          if (edge === 1) {
+            item.element.style[vertical ? 'marginTop' : 'marginLeft'] = `${offset + item.size / 2 - total / 2}px`;
+          } else if (offset > 0) {
+            const side = vertical ? (edge === 0 ? 'marginTop' : 'marginBottom') : (edge === 0 ? 'marginLeft' : 'marginRight');
+            item.element.style[side] = `${offset}px`;
+          }
+
+          offset += item.size + gap;
+        });
+      });
+    },
+
+    /**
+     * Create the "+N" badge standing in for hidden badges at a position
+     */
+    createOverflowBadge: function (container, slot) {
+      const overflowElement = document.createElement('div');
+      overflowElement.className = `${CONFIG.badgePrefix}-overflow ${CONFIG.badgePrefix}-pos-${slot}`;
+      overflowElement.setAttribute('part', 'overflow');
+      this.getBadgeRoot(container).appendChild(overflowElement);
+
+      return overflowElement;
+    },
+
+    /**
+     * Order matching badges by priority (highest first, then config order)
+     * and drop those over their group's limit or the per-product limit.
+     * Badges with nothing to show are left out first, so the next
+     * candidate takes their slot
+     */
+    resolveBadgeConflicts: function (badges, product) {
+      const settings = this.state.settings;
+      const order = new Map(this.state.badges.map((badge, index) => [badge, index]));
+      const groupCounts = {};
+
+      const sorted = badges.slice().sort((a, b) => {
+        return (Number(b.priority) || 0) - (Number(a.priority) || 0) || order.get(a) - order.get(b);
+      });
+
+      return sorted.filter(badge => {
+        if (this.isBadgeRenderable(badge, product)) return true;
+
+        utils.log(`Badge ${badge.id} skipped for ${product.handle}, nothing to render`);
+        return false;
+      }).filter(badge => {
+        if (badge.group) {
+          const limit = settings.groupLimits && settings.groupLimits[badge.group] != null
+            ? settings.groupLimits[badge.group]
+            : 1;
+
+          groupCounts[badge.group] = (groupCounts[badge.group] || 0) + 1;
+
+          if (groupCounts[badge.group] > limit) {
+            utils.log(`Badge ${badge.id} skipped for ${product.handle}, group "${badge.group}" is full`);
+            return false;
           }
         }
-      `;
 
-      document.head.appendChild(style);
+        return true;
+      }).filter((badge, index) => {
+        if (settings.maxBadgesPerProduct > 0 && index >= settings.maxBadgesPerProduct) {
+          utils.log(`Badge ${badge.id} skipped for ${product.handle}, product badge limit reached`);
+          return false;
+        }
+
+        return true;
+      });
     },
 
     /**
-     * Fetch badge configurations from server
+     * Check if a badge is a flow label rather than an image overlay
      */
-    fetchBadges: function () {
-      const url = `${CONFIG.badgeEndpoint}?shop=${this.state.shopDomain}`;
-      utils.log(`Fetching badges from ${url}`);
+    isInlinePlacement: function (badge) {
+      return ['before', 'after', 'inside'].indexOf(badge.placement) !== -1;
+    },
 
-      utils.fetchData(url, (data) => {
-        if (!data || !data.badges || data.badges.length === 0) {
-          utils.log('No badges found or invalid data format', 'warn');
-          return;
-        }
+    /**
+     * Get (or create) the wrapper for inline badges at a badge's anchor
+     */
+    getInlineGroup: function (container, badge) {
+      const scope = this.getAnchorScope(container);
+      const anchor = this.findBadgeAnchor(scope, badge.anchor || 'title');
+
+      if (!anchor) {
+        utils.log(`No "${badge.anchor || 'title'}" anchor found for badge ${badge.id}`);
+        return null;
+      }
+
+      const groupClass = `${CONFIG.badgePrefix}-inline-group`;
+      const isGroup = (element) => !!element && element.classList.contains(groupClass) &&
+        element.getAttribute('data-tm-placement') === badge.placement;
+
+      let group = null;
+
+      if (badge.placement === 'before') {
+        group = anchor.previousElementSibling;
+      } else if (badge.placement === 'after') {
+        group = anchor.nextElementSibling;
+      } else {
+        group = anchor.querySelector(`:scope > .${groupClass}`);
+      }
+
+      if (isGroup(group)) return group;
+
+      group = document.createElement('div');
+      group.className = groupClass;
+      group.setAttribute('data-tm-placement', badge.placement);
 
-        // Filter active badges
-        this.state.badges = data.badges.filter(badge => badge.active === true);
-        utils.log(`Loaded ${this.state.badges.length} active badges`, 'info', this.state.badges);
+      if (badge.placement === 'before') {
+        anchor.insertAdjacentElement('beforebegin', group);
+      } else if (badge.placement === 'after') {
+        anchor.insertAdjacentElement('afterend', group);
+      } else {
+        anchor.appendChild(group);
+      }
+
+      // Remember the group so removeBadges(container) can find it
+      const groups = this.state.inlineGroups.get(container) || [];
+      groups.push(group);
+      this.state.inlineGroups.set(container, groups);
+
+      return group;
+    },
+
+    /**
+     * Get the element to search for anchors: the product card, or the
+     * product info area on product pages
+     */
+    getAnchorScope: function (container) {
+      const page = this.state.productPage;
+      if (!page || page.container !== container) return container;
 
-        if (this.state.badges.length === 0) return;
+      return this.findProductInfoContainer() || container;
+    },
+
+    /**
+     * Find the product info area (title, price, buy buttons) on product page
+     */
+    findProductInfoContainer: function () {
+      const selectors = [
+        // Dawn theme
+        '.product__info-wrapper',
+        '.product__info-container',
+        // Debut theme
+        '.product-single__meta',
+        // Other themes
+        '.product__details',
+        '.product-single__info-wrapper',
+        '.product-info',
+        'product-info',
+        // Generic fallbacks
+        '[class*="product__info"]',
+        '[class*="product-info"]'
+      ];
 
-        // Start processing based on page type
-        if (this.state.pageType === 'product') {
-          this.processProductPage();
+      for (const selector of selectors) {
+        const container = document.querySelector(selector);
+        if (container) {
+          return container;
         }
+      }
+
+      // Fall back to the section holding the add to cart form
+      const form = document.querySelector('form[action*="/cart/add"]');
+      return form ? form.closest('section') || form.parentElement : null;
+    },
 
-        // Process all pages
-        this.scanForProducts();
+    /**
+     * Find an anchor element by keyword (title, price, add-to-cart) or CSS selector
+     */
+    findBadgeAnchor: function (scope, anchor) {
+      if (!scope) return null;
+
+      const anchorSelectors = {
+        title: [
+          // Dawn theme
+          '.card__heading',
+          '.product__title',
+          // Debut theme
+          '.product-single__title',
+          '.grid-view-item__title',
+          // Other themes
+          '.product-card__title',
+          '.product-item__title',
+          '.grid-product__title',
+          '.product_title',
+          // Generic fallbacks
+          '[class*="product-title"]',
+          '[class*="product__title"]',
+          'h1',
+          'h2',
+          'h3'
+        ],
+        price: [
+          // Dawn theme
+          '.price',
+          // Debut theme
+          '.product-single__price',
+          '.product-price',
+          // Other themes
+          '.product__price',
+          '.grid-product__price',
+          '.product-item__price',
+          // Generic fallbacks
+          '[class*="price"]'
+        ],
+        'add-to-cart': [
+          // Dawn theme
+          '.product-form__submit',
+          // Debut theme
+          '.product-form__cart-submit',
+          // Other themes
+          '.btn--add-to-cart',
+          '[data-add-to-cart]',
+          // Generic fallbacks
+          'button[name="add"]',
+          'form[action*="/cart/add"] [type="submit"]'
+        ]
+      };
+
+      const selectors = anchorSelectors[anchor] || [anchor];
 
-        // Set up interval for scanning
-        setInterval(() => this.scanForProducts(), CONFIG.scanInterval);
+      for (const selector of selectors) {
+        try {
+          const element = scope.querySelector(selector);
+          if (element) return element;
+        } catch (error) {
+          utils.log(`Invalid badge anchor selector "${selector}"`, 'warn');
+          return null;
+        }
+      }
 
-        // Set up mutation observer for dynamic content
-        this.setupMutationObserver();
-      });
+      return null;
     },
 
     /**
-     * Set up mutation observer to detect newly added product elements
+     * Prepare container for badges
      */
-    setupMutationObserver: function () {
-      if (!window.MutationObserver) return;
+    prepareContainer: function (container) {
+      if (!container) return container;
 
-      const observer = new MutationObserver((mutations) => {
-        let shouldScan = false;
+      // Skip if already prepared
+      if (container.classList.contains(CONFIG.containerClass)) {
+        return container;
+      }
 
-        mutations.forEach(mutation => {
-          if (mutation.type === 'childList' && mutation.addedNodes.length) {
-            for (let i = 0; i < mutation.addedNodes.length; i++) {
-              const node = mutation.addedNodes[i];
-
-              // Skip non-element nodes
-              if (node.nodeType !== Node.ELEMENT_NODE) continue;
-
-              // Check if this is likely a product element
-              const hasProductLink = node.tagName === 'A' && node.href && node.href.includes('/products/');
-              const containsProductLink = !!node.querySelector('a[href*="/products/"]');
-              const hasProductClasses = node.classList && (
-                node.classList.contains('product') ||
-                node.classList.contains('product-card') ||
-                node.classList.contains('product-item') ||
-                node.classList.contains('grid__item')
-              );
-
-              if (hasProductLink || containsProductLink || hasProductClasses) {
-                shouldScan = true;
-                break;
-              }
-            }
-          }
-        });
+      // Make sure container has position relative
+      const computedStyle = window.getComputedStyle(container);
+      if (computedStyle.position === 'static') {
+        container.style.position = 'relative';
+        container.setAttribute('data-tm-position', 'true');
+      }
+
+      // Add container class
+      container.classList.add(CONFIG.containerClass);
 
-        if (shouldScan) {
-          utils.log('New potential product elements detected');
-          this.scanForProducts();
+      return container;
+    },
+
+    /**
+     * Remove badges previously added to a container
+     */
+    removeBadges: function (container) {
+      if (!container) return;
+
+      this.getOwnBadgeElements(container).forEach(badgeElement => {
+        if (badgeElement.classList.contains(CONFIG.badgePrefix)) {
+          this.removeBadgeElement(badgeElement);
+        } else {
+          badgeElement.remove();
         }
       });
 
-      // Start observing the document with the configured parameters
-      observer.observe(document.body, {
-        childList: true,
-        subtree: true
+      // Inline badges live next to their anchors
+      (this.state.inlineGroups.get(container) || []).forEach(group => {
+        this.getOwnBadgeElements(group).forEach(badgeElement => {
+          this.removeBadgeElement(badgeElement);
+        });
       });
 
-      utils.log('Mutation observer configured');
+      this.state.inlineGroups.delete(container);
     },
 
     /**
-     * Process product page
+     * Remove a single badge element and announce it
      */
-    processProductPage: function () {
-      utils.log('Processing product page');
+    removeBadgeElement: function (badgeElement) {
+      utils.dispatch('badge-removed', {
+        badgeId: badgeElement.getAttribute('data-tm-badge-id'),
+        productId: badgeElement.getAttribute('data-tm-product-id'),
+        element: badgeElement
+      }, this.getBadgeOwner(badgeElement));
+
+      const root = badgeElement.parentNode;
+      badgeElement.remove();
+
+      // Drop inline groups and shadow layers once their last badge is gone
+      const holder = root && root.host ? root.host : root;
+      const isHolder = holder && holder.classList &&
+        (holder.classList.contains(`${CONFIG.badgePrefix}-inline-group`) || holder.classList.contains(`${CONFIG.badgePrefix}-layer`));
+
+      if (isHolder && !root.querySelector(`.${CONFIG.badgePrefix}`)) {
+        holder.remove();
+      }
+    },
 
-      // Try to get product data
-      const productData = this.getProductData();
-      if (!productData) {
-        utils.log('No product data found on product page', 'warn');
-        return;
+    /**
+     * Get the element badges are appended to: the container itself, or a
+     * badge layer covering it, in shadow render mode its shadow root. In
+     * container responsive mode the layer is the query container
+     */
+    getBadgeRoot: function (container) {
+      const useShadow = this.state.settings.renderMode === 'shadow' && !!container.attachShadow;
+      const useLayer = useShadow || this.state.settings.responsiveMode === 'container';
+
+      if (!useLayer) return container;
+
+      // Inline groups host their badges directly
+      if (container.classList.contains(`${CONFIG.badgePrefix}-inline-group`)) {
+        if (!useShadow) return container;
+        return container.shadowRoot || this.attachBadgeShadow(container);
       }
 
-      utils.log('Product data found', 'info', productData);
+      let layer = Array.from(container.children).find(child => child.classList.contains(`${CONFIG.badgePrefix}-layer`));
 
-      // Find primary product image container
-      const imageContainer = this.findProductImageContainer();
-      if (!imageContainer) {
-        utils.log('Could not find primary product image container', 'warn');
-        return;
+      if (!layer) {
+        layer = document.createElement('div');
+        layer.className = `${CONFIG.badgePrefix}-layer`;
+        container.appendChild(layer);
       }
 
-      // Apply badges
-      this.applyBadgesToElement(productData, imageContainer);
+      if (!useShadow) return layer;
+      return layer.shadowRoot || this.attachBadgeShadow(layer);
     },
 
     /**
-     * Get product data on a product page
+     * Attach a shadow root with the badge styles. Theme CSS can't reach
+     * inside; themes style badges deliberately with ::part(badge)
      */
-    getProductData: function () {
-      // Try multiple methods to get product data
+    attachBadgeShadow: function (host) {
+      const root = host.attachShadow({ mode: 'open' });
+
+      // Inside the shadow root only inline styles beat these rules, so
+      // the light DOM !important overrides are dropped
+      const css = `
+        :host {
+          all: initial;
+        }
+        
+        :host(.${CONFIG.badgePrefix}-layer) {
+          position: absolute !important;
+          top: 0 !important;
+          right: 0 !important;
+          bottom: 0 !important;
+          left: 0 !important;
+          display: block !important;
+          margin: 0 !important;
+          padding: 0 !important;
+          border: 0 !important;
+          transform: none !important;
+          pointer-events: none !important;
+          z-index: ${CONFIG.badgeZIndex} !important;
+        }
+        
+        .${CONFIG.badgePrefix},
+        .${CONFIG.badgePrefix}-overflow {
+          pointer-events: auto;
+        }
+        ${this.getBadgeStyles().replace(/\s*!important/g, '')}
+      `;
 
-      // Method 1: Check meta.product
-      if (typeof meta !== 'undefined' && meta.product) {
-        return meta.product;
-      }
+      // One constructed stylesheet is shared by every badge layer
+      if ('adoptedStyleSheets' in root && window.CSSStyleSheet && 'replaceSync' in CSSStyleSheet.prototype) {
+        if (!this.state.shadowSheet) {
+          this.state.shadowSheet = new CSSStyleSheet();
+          this.state.shadowSheet.replaceSync(css);
+        }
 
-      // Method 2: Check window.product
-      if (window.product) {
-        return window.product;
+        if (!this.state.ruleSheet) {
+          this.state.ruleSheet = new CSSStyleSheet();
+          this.state.ruleSheet.replaceSync(this.state.badgeRules);
+        }
+
+        root.adoptedStyleSheets = [this.state.shadowSheet, this.state.ruleSheet];
+      } else {
+        const style = document.createElement('style');
+        style.textContent = `${css}\n${this.state.badgeRules}`;
+        root.appendChild(style);
       }
 
-      // Method 3: Check ShopifyAnalytics
-      if (
-        typeof ShopifyAnalytics !== 'undefined' &&
-        ShopifyAnalytics.meta &&
-        ShopifyAnalytics.meta.product
-      ) {
-        return ShopifyAnalytics.meta.product;
+      return root;
+    },
+
+    /**
+     * Get the badge and "+N" elements placed directly in a container or
+     * inline group, including those inside its shadow root
+     */
+    getOwnBadgeElements: function (container) {
+      const roots = [container];
+      const layer = Array.from(container.children).find(child => child.classList.contains(`${CONFIG.badgePrefix}-layer`));
+
+      if (layer) roots.push(layer.shadowRoot || layer);
+      if (container.classList.contains(`${CONFIG.badgePrefix}-inline-group`) && container.shadowRoot) {
+        roots.push(container.shadowRoot);
       }
 
-      // Method 4: Look for product JSON in script tags
-      const jsonScriptSelectors = [
-        'script[type="application/json"][data-product-json]',
-        'script[id*="ProductJson-"]',
-        'script[data-product-json]'
-      ];
+      return roots.reduce((elements, root) => elements.concat(Array.from(root.children)), []).filter(element => {
+        return element.classList.contains(CONFIG.badgePrefix) || element.classList.contains(`${CONFIG.badgePrefix}-overflow`);
+      });
+    },
 
-      for (const selector of jsonScriptSelectors) {
-        const scripts = document.querySelectorAll(selector);
-        for (const script of scripts) {
-          try {
-            const json = JSON.parse(script.textContent);
-            if (json && (json.id || json.handle)) {
-              return json;
-            }
-          } catch (e) {
-            // Ignore parsing errors
-          }
+    /**
+     * Find badge elements under a root, looking inside shadow badge layers
+     */
+    queryBadges: function (root, selector) {
+      selector = selector || `.${CONFIG.badgePrefix}`;
+
+      let elements = Array.from(root.querySelectorAll(selector));
+
+      root.querySelectorAll(`.${CONFIG.badgePrefix}-layer, .${CONFIG.badgePrefix}-inline-group`).forEach(host => {
+        if (host.shadowRoot) {
+          elements = elements.concat(Array.from(host.shadowRoot.querySelectorAll(selector)));
         }
-      }
+      });
 
-      // Method 5: Get product handle from URL and fetch product data
-      const handle = this.extractProductHandleFromUrl(window.location.pathname);
-      if (handle) {
-        // We'll need to fetch the product data asynchronously
-        // For now, return a placeholder with the handle
-        return { handle: handle, pending: true };
-      }
+      return elements;
+    },
 
-      return null;
+    /**
+     * Get the light DOM element a badge belongs to: its container or inline group
+     */
+    getBadgeOwner: function (badgeElement) {
+      const root = badgeElement.parentNode;
+      if (root && root.classList && root.classList.contains(`${CONFIG.badgePrefix}-layer`)) return root.parentElement;
+      if (!root || !root.host) return badgeElement.parentElement;
+
+      return root.host.classList.contains(`${CONFIG.badgePrefix}-layer`) ? root.host.parentElement : root.host;
     },
 
     /**
-     * Find product image container on product page
+     * Create a badge element and add it to the container
      */
-    findProductImageContainer: function () {
-      // Try selectors for common themes
-      const selectors = [
-        // Dawn theme
-        '.product__media-wrapper',
-        '.product__media-container',
-        '.product-single__media-wrapper',
-        '.product__image-wrapper',
-        // Debut theme
-        '.product-single__media',
-        '.product-featured-media-wrapper',
-        '.product-single__photos',
-        // Brooklyn theme
-        '.product-single__photo-wrapper',
-        // Other themes
-        '.featured-img-container',
-        '.product__slides',
-        '.product-single__photo-container',
-        // Generic fallbacks
-        '.product-images',
-        '.product-image',
-        '.product-gallery',
-        '.product-media',
-        '[class*="product-media"]',
-        '[class*="product-image"]'
-      ];
+    createBadge: function (container, badge, product, position) {
+      // Create unique ID
+      const badgeId = `${CONFIG.badgePrefix}-${product.id || 'handle'}-${badge.id}`;
+
+      // Skip if badge already exists in this container
+      const existing = this.getOwnBadgeElements(container).find(element => {
+        return element.getAttribute('data-tm-badge-id') === String(badge.id);
+      });
+
+      if (existing) {
+        return existing;
+      }
+
+      // Let themes veto the badge or change a copy of its configuration
+      const beforeRender = utils.dispatch('before-render', {
+        badge: Object.assign({}, badge),
+        product: product,
+        container: container,
+        position: position
+      }, container, true);
+
+      if (beforeRender.defaultPrevented) {
+        utils.log(`Badge ${badge.id} cancelled by tagmaster:before-render`);
+        return;
+      }
+
+      const original = badge;
+      badge = beforeRender.detail.badge;
+      position = beforeRender.detail.position;
+
+      // Create element
+      const badgeElement = document.createElement('div');
+
+      // Keep IDs unique when the same product is shown more than once
+      if (!document.getElementById(badgeId)) {
+        badgeElement.id = badgeId;
+      }
+
+      badgeElement.setAttribute('data-tm-badge-id', badge.id);
+      badgeElement.setAttribute('data-tm-product-id', product.id || '');
+      badgeElement.setAttribute('data-tm-product-handle', product.handle || '');
+      badgeElement.setAttribute('part', `badge badge-${badge.id}`);
+      badgeElement.className = this.isInlinePlacement(badge)
+        ? `${CONFIG.badgePrefix} ${CONFIG.badgePrefix}-inline`
+        : CONFIG.badgePrefix;
+
+      const type = badge.type || 'text';
+      const isGraphic = type === 'image' || type === 'svg';
+
+      // Image and SVG badges bring their own shape
+      if (isGraphic) {
+        badgeElement.classList.add(`${CONFIG.badgePrefix}-graphic`);
+      }
+
+      // Countdown badges need a time in the future to count down to
+      if (type === 'countdown') {
+        const target = this.getCountdownTarget(badge, product);
+
+        if (!target || target <= Date.now()) {
+          utils.log(`Countdown badge ${badge.id} has no end time ahead for ${product.handle}`);
+          return;
+        }
+
+        badgeElement.classList.add(`${CONFIG.badgePrefix}-countdown`);
+      }
+
+      // Position and shape classes for the current breakpoint
+      this.applyResponsiveState(badgeElement, badge, container, position);
+
+      // Add animation class
+      if (badge.animation && badge.animation !== 'none') {
+        badgeElement.classList.add(`${CONFIG.badgePrefix}-animate-${badge.animation}`);
+      }
+
+      // Apply styles; font size and padding come from the generated badge rules
+      badgeElement.style.color = badge.textColor || '#FFFFFF';
+
+      if (!isGraphic) {
+        badgeElement.style.backgroundColor = badge.backgroundColor || '#6366f1';
+      }
+
+      // Apply border if specified
+      if (badge.borderWidth && badge.borderColor) {
+        badgeElement.style.border = `${badge.borderWidth}px solid ${badge.borderColor}`;
+      }
+
+      // Sizes changed by a before-render handler only apply to this badge
+      if (badge.fontSize !== original.fontSize) {
+        badgeElement.style.fontSize = `${badge.fontSize}px`;
+      }
+
+      if (badge.padding !== original.padding) {
+        badgeElement.style.padding = badge.padding;
+      }
 
-      for (const selector of selectors) {
-        const container = document.querySelector(selector);
-        if (container) {
-          return container;
-        }
+      // Process badge text in the storefront language
+      const text = this.getBadgeTemplate(badge);
+      const badgeText = this.processBadgeText(text, product, badge);
+
+      // A template can render nothing, e.g. "{% if stock < 5 %}Low stock{% endif %}"
+      if (!isGraphic && !badgeText.trim()) {
+        utils.log(`Badge ${badge.id} has no text for product ${product.title || product.handle}`);
+        return;
       }
 
-      // Try to find a product image first, then get its container
-      const productImages = document.querySelectorAll(
-        'img[src*="/products/"], ' +
-        'img[srcset*="/products/"], ' +
-        'img[src*="/cdn.shopify.com/s/files/"], ' +
-        'img[src*="/cdn/shop/products/"]'
-      );
+      if (!this.renderBadgeContent(badgeElement, badge, badgeText)) {
+        utils.log(`Badge ${badge.id} has no valid ${type} content`, 'warn');
+        return;
+      }
 
-      if (productImages.length > 0) {
-        // Find the largest image
-        let largest = productImages[0];
-        let largestArea = 0;
+      // Add to container
+      this.getBadgeRoot(container).appendChild(badgeElement);
 
-        for (const img of productImages) {
-          if (img.complete && img.width && img.height) {
-            const area = img.width * img.height;
-            if (area > largestArea) {
-              largestArea = area;
-              largest = img;
-            }
-          }
+      // Image sizes are only known once they load
+      badgeElement.querySelectorAll('img').forEach(image => {
+        if (!image.complete) {
+          image.addEventListener('load', () => this.layoutBadges(container), { once: true });
         }
+      });
 
-        // Get parent container (if any)
-        let container = largest.parentElement;
-        while (container && container !== document.body) {
-          if (
-            container.classList.contains('product-image') ||
-            container.classList.contains('product-media') ||
-            container.classList.contains('product-photo') ||
-            container.classList.contains('product__media')
-          ) {
-            return container;
-          }
-          container = container.parentElement;
-        }
+      if (type === 'countdown') {
+        countdownTicker.add({ element: badgeElement, badge: badge, product: product, text: text });
+      }
 
-        // If no suitable container found, use image's direct parent
-        return largest.parentElement;
+      utils.log(`Added badge "${badgeText}" to product ${product.title || product.handle}`);
+      this.state.appliedBadges++;
+
+      utils.dispatch('badge-rendered', {
+        badgeId: badge.id,
+        productId: product.id,
+        handle: product.handle,
+        badge: badge,
+        product: product,
+        element: badgeElement
+      }, container);
+
+      return badgeElement;
+    },
+
+    /**
+     * Get a badge's text before placeholders are replaced, in the
+     * storefront language
+     */
+    getBadgeTemplate: function (badge) {
+      const type = badge.type || 'text';
+      const text = this.getLocalizedText(badge.text, badge) || this.getLocalizedText(badge.name, badge) ||
+        (type === 'countdown' ? '' : 'SALE');
+
+      // Countdown badges show the time left even if the text doesn't place it
+      if (type === 'countdown' && !/\[COUNTDOWN\]|\{\{\s*countdown/.test(text)) {
+        return text ? `${text} [COUNTDOWN]` : '[COUNTDOWN]';
       }
 
-      return null;
+      return text;
     },
 
     /**
-     * Scan for product elements on the page
+     * Check, without touching the page, whether a badge has something to
+     * show for a product: a countdown end ahead, an image or SVG, or text
      */
-    scanForProducts: function () {
-      if (this.state.isProcessing || this.state.badges.length === 0) return;
+    isBadgeRenderable: function (badge, product) {
+      const type = badge.type || 'text';
 
-      this.state.isProcessing = true;
-      this.state.scanCount++;
+      if (type === 'countdown') {
+        const target = this.getCountdownTarget(badge, product);
+        if (!target || target <= Date.now()) return false;
+      }
 
-      utils.log(`Scanning for products (scan #${this.state.scanCount})`);
+      if (type === 'image') return this.isBadgeImageUrl(badge.imageUrl);
+      if (type === 'svg') return !!utils.sanitizeSvg(badge.svg);
 
-      // Find product links
-      const productLinks = document.querySelectorAll('a[href*="/products/"]:not([data-tm-processed])');
+      return !!this.processBadgeText(this.getBadgeTemplate(badge), product, badge).trim();
+    },
 
-      if (productLinks.length === 0) {
-        this.state.isProcessing = false;
-        return;
-      }
+    /**
+     * Fill a badge element for its type: text (default), image, svg or
+     * icon (icon followed by text). Returns false when there's nothing to show
+     */
+    renderBadgeContent: function (badgeElement, badge, badgeText) {
+      const type = badge.type || 'text';
+      const altText = this.getLocalizedText(badge.altText, badge) || badgeText;
 
-      utils.log(`Found ${productLinks.length} unprocessed product links`);
+      if (type === 'image') {
+        const image = this.createBadgeImage(badge.imageUrl, badge.imageUrl2x, altText, badge.imageWidth || 60, badge.imageHeight);
+        if (!image) return false;
 
-      // Process each product link
-      for (let i = 0; i < productLinks.length; i++) {
-        const link = productLinks[i];
+        image.setAttribute('part', 'image');
+        badgeElement.appendChild(image);
+        return true;
+      }
 
-        // Mark as processed
-        link.setAttribute('data-tm-processed', 'true');
+      if (type === 'svg') {
+        const svg = utils.sanitizeSvg(badge.svg);
+        if (!svg) return false;
 
-        // Extract product handle
-        const handle = this.extractProductHandleFromUrl(link.href);
-        if (!handle) continue;
+        this.sizeGraphic(svg, badge.imageWidth || 60, badge.imageHeight);
+        svg.setAttribute('role', 'img');
+        svg.setAttribute('aria-label', altText);
+        svg.setAttribute('part', 'image');
+        badgeElement.appendChild(svg);
+        return true;
+      }
 
-        // Find product container
-        const container = this.findProductContainer(link);
-        if (!container) continue;
+      if (type === 'icon') {
+        const iconSize = badge.iconSize ? `${badge.iconSize}px` : '1em';
+        const icon = badge.icon ? utils.sanitizeSvg(badge.icon) : this.createBadgeImage(badge.iconUrl, badge.iconUrl2x, '');
 
-        // Skip if already processed
-        if (this.state.processedElements.has(container)) continue;
+        badgeElement.classList.add(`${CONFIG.badgePrefix}-with-icon`);
 
-        // Mark as processed
-        this.state.processedElements.add(container);
+        if (icon) {
+          icon.classList.add(`${CONFIG.badgePrefix}-icon`);
+          icon.setAttribute('aria-hidden', 'true');
+          icon.setAttribute('part', 'icon');
+          this.sizeGraphic(icon, iconSize, iconSize);
+          badgeElement.appendChild(icon);
+        }
 
-        // Fetch product data
-        this.fetchProductData(handle, (productData) => {
-          if (productData) {
-            // Apply badges
-            this.applyBadgesToElement(productData, container);
-          }
-        });
+        const label = document.createElement('span');
+        label.textContent = badgeText;
+        label.setAttribute('part', 'label');
+        badgeElement.appendChild(label);
+        return true;
       }
 
-      this.state.isProcessing = false;
+      badgeElement.textContent = badgeText;
+      return true;
     },
 
     /**
-     * Find product container from a product link
+     * Create a lazily loaded badge image with a 2x source for retina screens
      */
-    findProductContainer: function (link) {
-      if (!link) return null;
-
-      // Common selectors for product cards/containers
-      const selectors = [
-        '.product-card',
-        '.grid__item',
-        '.product-item',
-        '.card',
-        '.product',
-        '.card-wrapper',
-        '[class*="product-card"]',
-        '[class*="product-item"]'
-      ];
+    createBadgeImage: function (url, url2x, altText, width, height) {
+      if (!this.isBadgeImageUrl(url)) return null;
 
-      // Try to find container using selectors
-      for (const selector of selectors) {
-        const container = link.closest(selector);
-        if (container) return container;
+      const image = document.createElement('img');
+      image.src = url;
+      if (url2x) {
+        image.srcset = `${url} 1x, ${url2x} 2x`;
       }
+      image.alt = altText || '';
+      image.setAttribute('loading', 'lazy');
+      image.setAttribute('decoding', 'async');
 
-      // Walk up the DOM tree to find a suitable container
-      let element = link.parentElement;
-      let depth = 0;
+      this.sizeGraphic(image, width, height);
 
-      while (element && depth < 4) {
-        // Check if this element contains product information
-        const hasImage = element.querySelector('img');
-        const hasPrice = element.querySelector('.price') || element.querySelector('[class*="price"]');
+      return image;
+    },
 
-        if (hasImage && hasPrice) {
-          return element;
-        }
+    /**
+     * Check if a badge image URL is absolute or root-relative
+     */
+    isBadgeImageUrl: function (url) {
+      return !!url && /^(https?:)?\/\/|^\//.test(url);
+    },
 
-        element = element.parentElement;
-        depth++;
+    /**
+     * Size an image or SVG; numbers are pixels, strings are used as given
+     */
+    sizeGraphic: function (element, width, height) {
+      const toCss = (value) => typeof value === 'number' ? `${value}px` : value;
+
+      if (width) {
+        element.style.width = toCss(width);
+        if (typeof width === 'number') element.setAttribute('width', width);
       }
 
-      // Fallback to parent or grandparent
-      return link.parentElement || link;
+      if (height) {
+        element.style.height = toCss(height);
+        if (typeof height === 'number') element.setAttribute('height', height);
+      } else {
+        element.style.height = 'auto';
+      }
     },
 
     /**
-     * Extract product handle from URL
+     * Set a badge's shape and position classes for the current breakpoint
      */
-    extractProductHandleFromUrl: function (url) {
-      if (!url) return null;
+    applyResponsiveState: function (badgeElement, badge, container, position) {
+      const overrides = this.getResponsiveOverrides(badge, container);
+
+      if (!badgeElement.classList.contains(`${CONFIG.badgePrefix}-graphic`)) {
+        const shape = overrides.shape || badge.shape || 'standard';
+        const currentShape = badgeElement.getAttribute('data-tm-shape');
+
+        if (shape !== currentShape) {
+          if (currentShape) badgeElement.classList.remove(`${CONFIG.badgePrefix}-${currentShape}`);
+          badgeElement.classList.add(`${CONFIG.badgePrefix}-${shape}`);
+          badgeElement.setAttribute('data-tm-shape', shape);
+
+          // Apply border radius if not a shape with specific radius
+          badgeElement.style.borderRadius = ['circle', 'star', 'ribbon', 'sale', 'new'].includes(shape)
+            ? ''
+            : `${badge.borderRadius || 4}px`;
+        }
+      }
 
-      const parts = url.split('/products/');
-      if (parts.length < 2) return null;
+      if (position == null || this.isInlinePlacement(badge)) return;
 
-      // Get handle and remove query parameters and hash
-      let handle = parts[1].split('?')[0].split('#')[0];
+      const currentSlot = badgeElement.getAttribute('data-tm-slot');
 
-      // Remove trailing slash if present
-      if (handle.endsWith('/')) {
-        handle = handle.slice(0, -1);
+      if (String(position) !== currentSlot) {
+        if (currentSlot) badgeElement.classList.remove(`${CONFIG.badgePrefix}-pos-${currentSlot}`);
+        badgeElement.classList.add(`${CONFIG.badgePrefix}-pos-${position}`);
+        badgeElement.setAttribute('data-tm-slot', position);
       }
-
-      return handle;
     },
 
     /**
-     * Fetch product data from Shopify
+     * Get a badge's overrides for the breakpoint the viewport, or in
+     * container mode the badge container, is in
      */
-    fetchProductData: function (handle, callback) {
-      if (!handle) {
-        callback(null);
-        return;
-      }
-
-      // Use product.js endpoint
-      const url = `/products/${handle}.js`;
+    getResponsiveOverrides: function (badge, container) {
+      if (!badge.responsive) return {};
 
-      fetch(url)
-        .then(response => {
-          if (!response.ok) throw new Error('Product not found');
-          return response.json();
-        })
-        .then(product => {
-          callback(product);
-        })
-        .catch(error => {
-          utils.log(`Error fetching product data for ${handle}: ${error.message}`, 'error');
-          callback(null);
-        });
+      return badge.responsive[this.getBreakpoint(container)] || {};
     },
 
     /**
-     * Apply badges to a product element
+     * Get the current breakpoint: mobile, tablet or desktop
      */
-    applyBadgesToElement: function (product, container) {
-      if (!product || !container) return;
+    getBreakpoint: function (container) {
+      const settings = this.state.settings;
+      const breakpoints = Object.assign({}, CONFIG.breakpoints, settings.breakpoints);
+      let width = window.innerWidth;
 
-      // Get product tags
-      const productTags = this.getProductTags(product);
+      if (settings.responsiveMode === 'container' && container && container.clientWidth) {
+        width = container.clientWidth;
+      }
 
-      utils.log(`Applying badges to product: ${product.title || product.handle}`, 'info', {
-        productId: product.id,
-        tags: productTags
-      });
+      if (width <= breakpoints.mobile) return 'mobile';
+      if (width <= breakpoints.tablet) return 'tablet';
 
-      // Prepare container for badges
-      this.prepareContainer(container);
+      return 'desktop';
+    },
 
-      // Track position counts for stacking
-      const positionCounts = {};
+    /**
+     * Pick the text for the storefront locale from a string or a locale
+     * map like { en: "New", fr: "Nouveau" }
+     */
+    getLocalizedText: function (value, badge) {
+      if (!value || typeof value !== 'object') return value;
+
+      const keys = Object.keys(value);
+      const find = (locale) => {
+        if (!locale) return null;
+        const key = keys.find(k => k.toLowerCase() === String(locale).toLowerCase());
+        return key && value[key] ? value[key] : null;
+      };
+
+      const locale = utils.getStorefrontLocale();
+      const language = locale.split('-')[0].toLowerCase();
+
+      // Exact locale, then its language, then another region of that language
+      const sameLanguage = keys.find(k => k.split('-')[0].toLowerCase() === language);
+
+      return find(locale) ||
+        find(language) ||
+        find(sameLanguage) ||
+        find(badge && badge.defaultLocale) ||
+        find('en') ||
+        value[keys[0]] ||
+        null;
+    },
 
-      // Check each badge
-      this.state.badges.forEach(badge => {
-        if (this.shouldApplyBadge(badge, product, productTags)) {
-          // Get position
-          const position = parseInt(badge.position || 3);
+    /**
+     * Get the position a badge is shown at; left and right are mirrored
+     * on right-to-left storefronts unless the badge opts out
+     */
+    getDisplayPosition: function (badge, container) {
+      const position = parseInt(this.getResponsiveOverrides(badge, container).position || badge.position || 3);
 
-          // Track how many badges at this position
-          positionCounts[position] = (positionCounts[position] || 0) + 1;
+      if (badge.mirrorRtl === false || !utils.isRtl()) return position;
 
-          // Create and add badge
-          this.createBadge(container, badge, product, position, positionCounts[position] - 1);
-        }
-      });
+      const mirrored = { 1: 3, 3: 1, 4: 6, 6: 4, 7: 9, 9: 7 };
+      return mirrored[position] || position;
     },
 
     /**
-     * Prepare container for badges
+     * Process badge text with variable replacements
      */
-    prepareContainer: function (container) {
-      if (!container) return container;
+    processBadgeText: function (text, product, badge) {
+      if (!text) return 'SALE';
 
-      // Skip if already prepared
-      if (container.classList.contains(CONFIG.containerClass)) {
-        return container;
+      const formats = this.getNumberFormats(badge);
+
+      // Replace discount percentage
+      if (text.includes('[DISCOUNT_PERCENT]') && product.compare_at_price) {
+        const comparePrice = utils.parseMoney(product.compare_at_price);
+        const price = utils.parseMoney(product.price);
+        const discountPercent = comparePrice > price ? ((comparePrice - price) / comparePrice) * 100 : 0;
+        text = text.replace(/\[DISCOUNT_PERCENT\]/g, utils.formatNumber(discountPercent, formats.percent));
       }
 
-      // Make sure container has position relative
-      const computedStyle = window.getComputedStyle(container);
-      if (computedStyle.position === 'static') {
-        container.style.position = 'relative';
+      // Replace discount amount; a plain number unless numberFormat.amount
+      // sets a currency. In a converted market it is formatted like
+      // [DISCOUNT_MONEY] in the active currency, unless the text places the
+      // symbol itself with [CURRENCY]
+      if (text.includes('[DISCOUNT_AMOUNT]') && product.compare_at_price) {
+        const comparePrice = utils.parseMoney(product.compare_at_price);
+        const price = utils.parseMoney(product.price);
+        const amount = Math.max(0, comparePrice - price);
+        const isConverted = utils.getCurrency().rate !== 1;
+
+        const discountAmount = isConverted && !formats.amount.currency && !text.includes('[CURRENCY]')
+          ? utils.formatMoney(Math.round(amount * 100))
+          : utils.formatNumber(amount, formats.amount);
+        text = text.replace(/\[DISCOUNT_AMOUNT\]/g, discountAmount);
       }
 
-      // Add container class
-      container.classList.add(CONFIG.containerClass);
+      // Replace inventory/stock
+      if (text.includes('[STOCK]')) {
+        const inventory = this.getProductInventory(product);
+        text = text.replace(/\[STOCK\]/g, utils.formatNumber(inventory, formats.stock));
+      }
 
-      return container;
+      // Replace discount amount formatted with the shop's money format
+      if (text.includes('[DISCOUNT_MONEY]') && product.compare_at_price) {
+        const discountCents = Math.max(0, Math.round(
+          (utils.parseMoney(product.compare_at_price) - utils.parseMoney(product.price)) * 100
+        ));
+        text = text.replace(/\[DISCOUNT_MONEY\]/g, utils.formatMoney(discountCents));
+      }
+
+      // Replace currency symbol
+      if (text.includes('[CURRENCY]')) {
+        const currencySymbol = this.getCurrencySymbol();
+        text = text.replace(/\[CURRENCY\]/g, currencySymbol);
+      }
+
+      // Replace the time left on countdown badges
+      if (text.includes('[COUNTDOWN]')) {
+        text = text.replace(/\[COUNTDOWN\]/g, this.getCountdownText(badge, product));
+      }
+
+      // Replace metafield values, e.g. [METAFIELD:custom.material]
+      if (text.includes('[METAFIELD:')) {
+        text = text.replace(/\[METAFIELD:([\w-]+)\.([\w-]+)\]/g, (match, namespace, key) => {
+          const value = ((product.metafields || {})[namespace] || {})[key];
+          return value == null ? '' : templateEngine.toText(value);
+        });
+      }
+
+      // Render {{ variables }} and {% if %} tags. A variable without a value
+      // (often a typo) leaves the badge with no text instead of a blank gap,
+      // so it is skipped and the next candidate can take its slot
+      if (text.includes('{{') || text.includes('{%')) {
+        const missing = [];
+        text = templateEngine.render(text, this.getTemplateContext(product, badge), missing);
+
+        if (missing.length > 0) {
+          utils.log(`Badge ${badge.id} skipped for ${product.handle}, no value for ${missing.join(', ')}`);
+          return '';
+        }
+      }
+
+      return text;
     },
 
     /**
-     * Create a badge element and add it to the container
+     * Variables available to badge text templates and their known fields
+     * (product and variant follow /products/{handle}.js)
      */
-    createBadge: function (container, badge, product, position, stackIndex) {
-      // Create unique ID
-      const badgeId = `${CONFIG.badgePrefix}-${product.id || 'handle'}-${badge.id}`;
+    templateVariables: {
+      product: [
+        'id', 'title', 'handle', 'description', 'url', 'vendor', 'type', 'tags', 'options', 'variants',
+        'images', 'featured_image', 'media', 'available', 'price', 'price_min', 'price_max', 'price_varies',
+        'compare_at_price', 'compare_at_price_min', 'compare_at_price_max', 'compare_at_price_varies',
+        'published_at', 'created_at', 'metafields', 'selected_variant'
+      ],
+      variant: [
+        'id', 'title', 'name', 'public_title', 'options', 'option1', 'option2', 'option3', 'sku', 'barcode',
+        'available', 'price', 'compare_at_price', 'unit_price', 'weight', 'featured_image', 'featured_media',
+        'inventory_quantity', 'inventory_management', 'inventory_policy', 'requires_shipping', 'taxable'
+      ],
+      stock: false,
+      price: false,
+      compare_at_price: false,
+      discount_percent: false,
+      discount_amount: false,
+      currency: false,
+      metafields: true,
+      countdown: false
+    },
 
-      // Skip if badge already exists
-      if (document.getElementById(badgeId)) {
-        return;
-      }
+    /**
+     * Build the context badge text templates are rendered with; money
+     * values are in cents so they can go through the money filter
+     */
+    getTemplateContext: function (product, badge) {
+      const price = utils.parseMoney(product.price);
+      const comparePrice = utils.parseMoney(product.compare_at_price);
+
+      return {
+        product: product,
+        variant: product.selected_variant || (product.variants && product.variants[0]) || {},
+        stock: this.getProductInventory(product),
+        price: Math.round(price * 100),
+        compare_at_price: Math.round(comparePrice * 100),
+        discount_percent: utils.calculateDiscount(comparePrice, price),
+        discount_amount: comparePrice > price ? Math.round((comparePrice - price) * 100) : 0,
+        currency: utils.getCurrency().code,
+        metafields: product.metafields || {},
+        countdown: badge ? this.getCountdownText(badge, product) : ''
+      };
+    },
 
-      // Create element
-      const badgeElement = document.createElement('div');
-      badgeElement.id = badgeId;
-      badgeElement.className = `${CONFIG.badgePrefix} ${CONFIG.badgePrefix}-pos-${position}`;
+    /**
+     * Get the time a countdown badge counts down to: a date metafield on
+     * the product (countdownMetafield: 'namespace.key') or the badge's endDate
+     */
+    getCountdownTarget: function (badge, product) {
+      let value = badge.endDate;
+
+      if (badge.countdownMetafield) {
+        const match = String(badge.countdownMetafield).match(/^([\w-]+)\.([\w-]+)$/);
+
+        if (!match) {
+          utils.log(`Badge ${badge.id} countdownMetafield "${badge.countdownMetafield}" is not namespace.key`);
+          return null;
+        }
 
-      // Add shape class
-      if (badge.shape) {
-        badgeElement.classList.add(`${CONFIG.badgePrefix}-${badge.shape}`);
-      } else {
-        badgeElement.classList.add(`${CONFIG.badgePrefix}-standard`);
+        const namespace = (product.metafields || {})[match[1]] || {};
+        value = namespace[match[2]];
       }
 
-      // Add animation class
-      if (badge.animation && badge.animation !== 'none') {
-        badgeElement.classList.add(`${CONFIG.badgePrefix}-animate-${badge.animation}`);
-      }
+      if (!value) return null;
 
-      // Add stacked class if needed
-      if (stackIndex > 0) {
-        badgeElement.classList.add(`${CONFIG.badgePrefix}-stacked-${stackIndex}`);
-      }
+      const time = utils.parseZonedDate(value, this.getBadgeTimezone(badge)).getTime();
+      return isNaN(time) ? null : time;
+    },
 
-      // Apply styles
-      Object.assign(badgeElement.style, {
-        backgroundColor: badge.backgroundColor || '#6366f1',
-        color: badge.textColor || '#FFFFFF',
-        fontSize: `${badge.fontSize || 14}px`
-      });
+    /**
+     * Get the time left on a countdown badge as text
+     */
+    getCountdownText: function (badge, product) {
+      const target = this.getCountdownTarget(badge, product);
+      return target ? this.formatCountdown(target - Date.now(), badge.countdownFormat) : '';
+    },
 
-      // Apply border if specified
-      if (badge.borderWidth && badge.borderColor) {
-        badgeElement.style.border = `${badge.borderWidth}px solid ${badge.borderColor}`;
-      }
+    /**
+     * Format a duration for the storefront locale: 'clock' (02:14:33, with
+     * the days in front), 'units' (2d 4h 12m 5s) or 'long' ("2 days", the
+     * largest unit only)
+     */
+    formatCountdown: function (milliseconds, format) {
+      const total = Math.max(0, Math.floor(milliseconds / 1000));
+      const units = [
+        ['day', Math.floor(total / 86400)],
+        ['hour', Math.floor((total % 86400) / 3600)],
+        ['minute', Math.floor((total % 3600) / 60)],
+        ['second', total % 60]
+      ];
 
-      // Apply border radius if not a shape with specific radius
-      if (!['circle', 'star', 'ribbon', 'sale', 'new'].includes(badge.shape)) {
-        badgeElement.style.borderRadius = `${badge.borderRadius || 4}px`;
+      if (format === 'long') {
+        const largest = units.find(unit => unit[1] > 0) || units[3];
+        return utils.formatUnit(largest[1], largest[0], 'long');
       }
 
-      // Apply custom padding if specified
-      if (badge.padding) {
-        badgeElement.style.padding = badge.padding;
+      if (format === 'units') {
+        const first = Math.max(0, units.findIndex(unit => unit[1] > 0));
+        return units.slice(first).map(unit => utils.formatUnit(unit[1], unit[0], 'narrow')).join(' ');
       }
 
-      // Process badge text
-      const badgeText = this.processBadgeText(badge.text || badge.name || 'SALE', product);
-      badgeElement.textContent = badgeText;
-
-      // Add to container
-      container.appendChild(badgeElement);
-
-      utils.log(`Added badge "${badgeText}" to product ${product.title || product.handle}`);
-      this.state.appliedBadges++;
+      const twoDigits = new Intl.NumberFormat(utils.getLocale(), { minimumIntegerDigits: 2, useGrouping: false });
+      const clock = units.slice(1).map(unit => twoDigits.format(unit[1])).join(':');
 
-      return badgeElement;
+      return units[0][1] > 0 ? `${utils.formatUnit(units[0][1], 'day', 'narrow')} ${clock}` : clock;
     },
 
     /**
-     * Process badge text with variable replacements
+     * Refresh a countdown badge's text; at zero the badge removes itself.
+     * Returns false once the badge is gone
      */
-    processBadgeText: function (text, product) {
-      if (!text) return 'SALE';
+    updateCountdown: function (entry, now) {
+      const target = this.getCountdownTarget(entry.badge, entry.product);
 
-      // Replace discount percentage
-      if (text.includes('[DISCOUNT_PERCENT]') && product.compare_at_price) {
-        const comparePrice = utils.parseMoney(product.compare_at_price);
-        const price = utils.parseMoney(product.price);
-        const discountPercent = utils.calculateDiscount(comparePrice, price);
-        text = text.replace(/\[DISCOUNT_PERCENT\]/g, discountPercent);
+      if (!target || target <= now) {
+        const owner = this.getBadgeOwner(entry.element);
+        this.removeBadgeElement(entry.element);
+        this.layoutBadges(owner);
+        return false;
       }
 
-      // Replace discount amount
-      if (text.includes('[DISCOUNT_AMOUNT]') && product.compare_at_price) {
-        const comparePrice = utils.parseMoney(product.compare_at_price);
-        const price = utils.parseMoney(product.price);
-        const discountAmount = (comparePrice - price).toFixed(2);
-        text = text.replace(/\[DISCOUNT_AMOUNT\]/g, discountAmount);
+      const text = this.processBadgeText(entry.text, entry.product, entry.badge);
+      if (entry.element.textContent !== text) {
+        entry.element.textContent = text;
       }
 
-      // Replace inventory/stock
-      if (text.includes('[STOCK]')) {
-        const inventory = this.getProductInventory(product);
-        text = text.replace(/\[STOCK\]/g, inventory);
-      }
+      return true;
+    },
 
-      // Replace currency symbol
-      if (text.includes('[CURRENCY]')) {
-        const currencySymbol = this.getCurrencySymbol();
-        text = text.replace(/\[CURRENCY\]/g, currencySymbol);
-      }
+    /**
+     * Log problems in badge text templates so they don't render silently wrong
+     */
+    validateBadgeTemplates: function () {
+      this.state.badges.forEach(badge => {
+        [badge.text, badge.name].forEach(value => {
+          const texts = value && typeof value === 'object' ? Object.values(value) : [value];
 
-      return text;
+          texts.forEach(text => {
+            if (typeof text !== 'string' || (!text.includes('{{') && !text.includes('{%'))) return;
+
+            templateEngine.validate(text, this.templateVariables).forEach(error => {
+              utils.log(`Badge ${badge.id} text "${text}": ${error}`, 'warn');
+            });
+          });
+        });
+      });
     },
 
     /**
-     * Get currency symbol
+     * Get number formatting options per token from the badge's numberFormat;
+     * top-level options apply to every token, `percent`, `amount` and
+     * `stock` override them for one token. `currency` and `currencyDisplay`
+     * are only honoured under `amount`
      */
-    getCurrencySymbol: function () {
-      // Try to get currency from Shopify
-      if (typeof Shopify !== 'undefined' && Shopify.currency) {
-        if (Shopify.currency.active) {
-          return Shopify.currency.active;
+    getNumberFormats: function (badge) {
+      const numberFormat = (badge && badge.numberFormat) || {};
+      const shared = {
+        decimals: numberFormat.decimals,
+        rounding: numberFormat.rounding,
+        notation: numberFormat.notation
+      };
+
+      const build = (defaults, overrides, allowCurrency) => {
+        const format = Object.assign({}, defaults);
+        [shared, overrides || {}].forEach(options => {
+          Object.keys(options).forEach(key => {
+            if (options[key] !== undefined) format[key] = options[key];
+          });
+        });
+        if (!allowCurrency) {
+          delete format.currency;
+          delete format.currencyDisplay;
         }
+        return format;
+      };
+
+      return {
+        percent: build({ decimals: 0 }, numberFormat.percent),
+        amount: build({ decimals: 2 }, numberFormat.amount, true),
+        stock: build({ decimals: 0 }, numberFormat.stock)
+      };
+    },
+
+    /**
+     * Get currency symbol of the active currency
+     */
+    getCurrencySymbol: function () {
+      // Symbol of the presentment currency
+      const code = utils.getCurrency().code;
+      if (code) {
+        return utils.getCurrencySymbol(code);
       }
 
-      // Try to get from money format
-      if (typeof theme !== 'undefined' && theme.moneyFormat) {
-        const match = theme.moneyFormat.match(/\{\{\s*?amount_with_currency.*?\}\}/);
-        if (match) {
-          return 'INR'; // With currency symbol
-        }
+      // Text around the amount in the shop's money format, e.g. "Rs. {{amount}}"
+      const moneyFormat = utils.getMoneyFormat();
+      if (moneyFormat) {
+        const symbol = moneyFormat.replace(/<[^>]*>/g, '').replace(/\{\{[^}]*\}\}/g, '').trim();
+        if (symbol) return symbol;
       }
 
-      // Default
-      return 'INR';
+      return '';
     },
 
     /**
@@ -2511,6 +5980,253 @@
       return [];
     },
 
+    /**
+     * Get the facts badge conditions are evaluated against
+     */
+    getProductFacts: function (product, productTags) {
+      const price = utils.parseMoney(product.price);
+      const comparePrice = utils.parseMoney(product.compare_at_price);
+      const options = this.getProductOptions(product);
+      const availability = this.getProductAvailability(product);
+
+      return {
+        id: utils.normalizeId(product.id),
+        handle: product.handle,
+        title: product.title,
+        tags: productTags,
+        price: price,
+        shop_price: utils.toShopCurrency(price),
+        compare_at_price: comparePrice,
+        currency: utils.getCurrency().code,
+        discount_percent: utils.calculateDiscount(comparePrice, price),
+        discount_amount: comparePrice > price ? comparePrice - price : 0,
+        inventory: this.getProductInventory(product),
+        on_sale: comparePrice > price,
+        vendor: product.vendor,
+        type: product.type,
+        options: options,
+        option_values: Object.keys(options).reduce((values, name) => values.concat(options[name]), []),
+        available: availability !== 'sold_out',
+        availability: availability,
+        variant_count: (product.variants || []).length,
+        published_at: product.published_at || null,
+        created_at: product.created_at || null,
+        age_days: this.getProductAgeDays(product),
+        metafields: product.metafields || {},
+        page_type: this.state.pageType,
+        product: product
+      };
+    },
+
+    /**
+     * Get a product's option values by lowercase option name, e.g.
+     * { size: ['S', 'XL'], color: ['Red'] }
+     */
+    getProductOptions: function (product) {
+      const options = {};
+      const names = (product.options || []).map((option, index) => {
+        const name = option && typeof option === 'object' ? option.name : option;
+        return String(name || `option${index + 1}`).toLowerCase();
+      });
+
+      (product.options || []).forEach((option, index) => {
+        options[names[index]] = option && Array.isArray(option.values) ? option.values.slice() : [];
+      });
+
+      // Option names without values (page globals) are filled from variants
+      (product.variants || []).forEach(variant => {
+        const values = variant.options || [variant.option1, variant.option2, variant.option3];
+
+        values.forEach((value, index) => {
+          if (value == null) return;
+
+          const name = names[index] || `option${index + 1}`;
+          options[name] = options[name] || [];
+
+          if (options[name].indexOf(value) === -1) {
+            options[name].push(value);
+          }
+        });
+      });
+
+      return options;
+    },
+
+    /**
+     * Get the days since a product was published (or created, with
+     * dateField 'created_at'); null when the product JSON has no date
+     */
+    getProductAgeDays: function (product, dateField) {
+      const field = dateField === 'created_at' ? 'created_at' : 'published_at';
+      const value = product[field] || product.created_at;
+      const date = value ? new Date(value) : null;
+
+      if (!date || isNaN(date.getTime())) return null;
+
+      return Math.max(0, (Date.now() - date.getTime()) / (24 * 60 * 60 * 1000));
+    },
+
+    /**
+     * Get a product's availability: available, sold_out, or
+     * partially_sold_out when only some variants are sold out
+     */
+    getProductAvailability: function (product) {
+      const variants = product.variants || [];
+      const availableCount = variants.filter(variant => variant.available !== false).length;
+
+      if (product.available === false || (variants.length > 0 && availableCount === 0)) {
+        return 'sold_out';
+      }
+
+      return availableCount < variants.length ? 'partially_sold_out' : 'available';
+    },
+
+    /**
+     * Get the time zone a badge's dates and schedule are read in: the
+     * badge's own, or the shop's from settings or CONFIG.timezone. Without
+     * one, dates keep their plain Date parsing and schedules use the
+     * visitor's clock
+     */
+    getBadgeTimezone: function (badge) {
+      return badge.timezone || this.state.settings.timezone || CONFIG.timezone || null;
+    },
+
+    /**
+     * Check a badge's startDate/endDate and schedule against the current time
+     */
+    isBadgeScheduled: function (badge, now) {
+      const timeZone = this.getBadgeTimezone(badge);
+      now = now || new Date();
+
+      if (badge.startDate && utils.parseZonedDate(badge.startDate, timeZone) > now) {
+        return false;
+      }
+
+      if (badge.endDate && utils.parseZonedDate(badge.endDate, timeZone) < now) {
+        return false;
+      }
+
+      return !badge.schedule || this.isScheduleActive(badge, now, timeZone);
+    },
+
+    /**
+     * Check a recurring schedule: { days, startTime, endTime, rrule }, e.g.
+     * { days: ['fri'], startTime: '18:00', endTime: '22:00' } or
+     * { rrule: 'FREQ=MONTHLY;BYDAY=-1FR' } for the last Friday of each month
+     */
+    isScheduleActive: function (badge, now, timeZone) {
+      const schedule = badge.schedule;
+      const parts = utils.getZonedParts(now, timeZone);
+      const today = this.getCalendarDay(parts.year, parts.month, parts.day);
+      const minutes = parts.hour * 60 + parts.minute;
+
+      const toMinutes = (time, fallback) => {
+        const match = String(time || '').match(/^(\d{1,2}):(\d{2})/);
+        return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : fallback;
+      };
+
+      const start = toMinutes(schedule.startTime, 0);
+      const end = toMinutes(schedule.endTime, 24 * 60);
+
+      if (start < end) {
+        return minutes >= start && minutes < end && this.matchesScheduleDay(badge, today, timeZone);
+      }
+
+      // Windows past midnight (22:00-02:00) belong to the day they start on
+      if (minutes >= start) {
+        return this.matchesScheduleDay(badge, today, timeZone);
+      }
+
+      if (minutes < end) {
+        return this.matchesScheduleDay(badge, this.getCalendarDay(today.year, today.month, today.day - 1), timeZone);
+      }
+
+      return false;
+    },
+
+    /**
+     * Describe a calendar day; out of range days roll over (day 0 is the
+     * last day of the previous month)
+     */
+    getCalendarDay: function (year, month, day) {
+      const date = new Date(Date.UTC(year, month - 1, day));
+
+      return {
+        year: date.getUTCFullYear(),
+        month: date.getUTCMonth() + 1,
+        day: date.getUTCDate(),
+        weekday: date.getUTCDay(),
+        daysInMonth: new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate()
+      };
+    },
+
+    /**
+     * Check a calendar day against a schedule's days and recurrence rule
+     */
+    matchesScheduleDay: function (badge, day, timeZone) {
+      const schedule = badge.schedule;
+      const dayNames = ['su', 'mo', 'tu', 'we', 'th', 'fr', 'sa'];
+
+      // Days as 0-6 (Sunday first) or names: 'fri', 'Friday', 'FR'
+      if (schedule.days && schedule.days.length > 0) {
+        const days = [].concat(schedule.days).map(entry => {
+          return typeof entry === 'number' ? entry : dayNames.indexOf(String(entry).slice(0, 2).toLowerCase());
+        });
+
+        if (!days.includes(day.weekday)) return false;
+      }
+
+      if (!schedule.rrule) return true;
+
+      // RRULE subset: FREQ, BYDAY (with ordinals like 1MO or -1FR),
+      // BYMONTHDAY (negative counts from the month's end) and BYMONTH
+      const rule = {};
+      String(schedule.rrule).replace(/^RRULE:/i, '').split(';').forEach(part => {
+        const pair = part.split('=');
+        if (pair.length === 2) {
+          rule[pair[0].trim().toUpperCase()] = pair[1].trim().toUpperCase().split(',');
+        }
+      });
+
+      const freq = rule.FREQ ? rule.FREQ[0] : 'DAILY';
+
+      if (rule.BYMONTH && !rule.BYMONTH.map(Number).includes(day.month)) {
+        return false;
+      }
+
+      if (rule.BYMONTHDAY && !rule.BYMONTHDAY.map(Number).some(n => n > 0 ? n === day.day : day.daysInMonth + n + 1 === day.day)) {
+        return false;
+      }
+
+      if (rule.BYDAY) {
+        const matchesDay = rule.BYDAY.some(entry => {
+          const match = entry.match(/^([+-]?\d+)?(SU|MO|TU|WE|TH|FR|SA)$/);
+          if (!match || dayNames.indexOf(match[2].toLowerCase()) !== day.weekday) return false;
+
+          const ordinal = parseInt(match[1], 10);
+          if (!ordinal) return true;
+
+          return ordinal > 0
+            ? Math.ceil(day.day / 7) === ordinal
+            : Math.ceil((day.daysInMonth - day.day + 1) / 7) === -ordinal;
+        });
+
+        if (!matchesDay) return false;
+      }
+
+      // Without BY* parts a rule repeats on the start date's weekday or day
+      if (badge.startDate && !rule.BYDAY && !rule.BYMONTHDAY && freq !== 'DAILY') {
+        const startParts = utils.getZonedParts(utils.parseZonedDate(badge.startDate, timeZone), timeZone);
+        const startDay = this.getCalendarDay(startParts.year, startParts.month, startParts.day);
+
+        if (freq === 'WEEKLY' && day.weekday !== startDay.weekday) return false;
+        if (freq === 'MONTHLY' && day.day !== startDay.day) return false;
+        if (freq === 'YEARLY' && (day.day !== startDay.day || (!rule.BYMONTH && day.month !== startDay.month))) return false;
+      }
+
+      return true;
+    },
+
     /**
      * Check if a badge should be applied to a product
      */
@@ -2520,6 +6236,34 @@
         return false;
       }
 
+      // Check included products
+      if (badge.includedProducts && badge.includedProducts.length > 0) {
+        if (!badge.includedProducts.some(entry => this.isProductMatch(product, entry))) {
+          return false;
+        }
+      }
+
+      // Check excluded products
+      if (badge.excludedProducts && badge.excludedProducts.length > 0) {
+        if (badge.excludedProducts.some(entry => this.isProductMatch(product, entry))) {
+          return false;
+        }
+      }
+
+      // Check included collections
+      if (badge.includedCollections && badge.includedCollections.length > 0) {
+        if (!badge.includedCollections.some(entry => this.isProductInCollection(product, entry))) {
+          return false;
+        }
+      }
+
+      // Check excluded collections
+      if (badge.excludedCollections && badge.excludedCollections.length > 0) {
+        if (badge.excludedCollections.some(entry => this.isProductInCollection(product, entry))) {
+          return false;
+        }
+      }
+
       // Check included tags
       if (badge.includedTags && badge.includedTags.length > 0) {
         const badgeTags = badge.includedTags.map(tag => tag.toLowerCase());
@@ -2548,14 +6292,81 @@
         }
       }
 
-      // Check date range
-      const now = new Date();
+      // Check vendor and product type, ignoring case
+      const inList = (list, value) => list.some(entry => String(entry).toLowerCase() === String(value || '').toLowerCase());
+
+      if (badge.includedVendors && badge.includedVendors.length > 0 && !inList(badge.includedVendors, product.vendor)) {
+        return false;
+      }
+
+      if (badge.excludedVendors && badge.excludedVendors.length > 0 && inList(badge.excludedVendors, product.vendor)) {
+        return false;
+      }
+
+      if (badge.includedProductTypes && badge.includedProductTypes.length > 0 && !inList(badge.includedProductTypes, product.type)) {
+        return false;
+      }
 
-      if (badge.startDate && new Date(badge.startDate) > now) {
+      if (badge.excludedProductTypes && badge.excludedProductTypes.length > 0 && inList(badge.excludedProductTypes, product.type)) {
         return false;
       }
 
-      if (badge.endDate && new Date(badge.endDate) < now) {
+      // Check option values; a plain value matches any option, e.g. "XL"
+      // or { name: 'Size', value: 'XL' }
+      if (badge.optionValues && badge.optionValues.length > 0) {
+        const options = this.getProductOptions(product);
+
+        const hasMatch = badge.optionValues.some(entry => {
+          const name = entry && typeof entry === 'object' ? String(entry.name || '').toLowerCase() : null;
+          const value = entry && typeof entry === 'object' ? entry.value : entry;
+
+          return Object.keys(options).some(optionName => {
+            return (!name || optionName === name) && inList(options[optionName], value);
+          });
+        });
+
+        if (!hasMatch) return false;
+      }
+
+      // Check availability: available, sold_out or partially_sold_out
+      if (badge.availability && badge.availability.length > 0) {
+        const allowed = [].concat(badge.availability);
+        const availability = this.getProductAvailability(product);
+
+        // Partially sold out products are still available
+        const matches = allowed.includes(availability) ||
+          (availability === 'partially_sold_out' && allowed.includes('available'));
+
+        if (!matches) return false;
+      }
+
+      // Check variant count
+      if (badge.variantCountMin != null || badge.variantCountMax != null) {
+        const variantCount = (product.variants || []).length;
+
+        if (badge.variantCountMin != null && variantCount < badge.variantCountMin) {
+          return false;
+        }
+
+        if (badge.variantCountMax != null && variantCount > badge.variantCountMax) {
+          return false;
+        }
+      }
+
+      // Check product age, e.g. "new" for products published in the last 30
+      // days; without a date the age is unknown and the check is skipped
+      if (badge.newWithinDays != null) {
+        const ageDays = this.getProductAgeDays(product, badge.newDateField);
+
+        if (ageDays === null) {
+          utils.log(`Badge ${badge.id}: no publish or create date for ${product.handle}, skipping the age check`);
+        } else if (ageDays > badge.newWithinDays) {
+          return false;
+        }
+      }
+
+      // Check date range and recurring schedule in the shop's time zone
+      if (!this.isBadgeScheduled(badge)) {
         return false;
       }
 
@@ -2572,9 +6383,11 @@
         }
       }
 
-      // Check price
+      // Check price; limits are in the shop currency unless the badge
+      // says they are in the presentment currency
       if (badge.priceMin !== null || badge.priceMax !== null) {
-        const price = utils.parseMoney(product.price);
+        const presentmentPrice = utils.parseMoney(product.price);
+        const price = badge.priceCurrency === 'presentment' ? presentmentPrice : utils.toShopCurrency(presentmentPrice);
 
         if (badge.priceMin !== null && price < badge.priceMin) {
           return false;
@@ -2600,10 +6413,128 @@
         }
       }
 
+      // Check metafields, e.g. { key: 'reviews.rating', operator: 'gte', value: 4.5 }
+      if (badge.metafieldConditions && badge.metafieldConditions.length > 0) {
+        const metafieldRules = {
+          all: badge.metafieldConditions.map(condition => ({
+            field: `metafields.${condition.key}`,
+            operator: condition.operator || 'equals',
+            value: condition.value
+          }))
+        };
+
+        if (!ruleEngine.evaluate(metafieldRules, { metafields: product.metafields || {} })) {
+          return false;
+        }
+      }
+
+      // Check condition tree
+      if (badge.conditions && !ruleEngine.evaluate(badge.conditions, this.getProductFacts(product, productTags))) {
+        return false;
+      }
+
       return true;
     }
   };
 
+  // Public API for themes and other apps
+  window.Tagmaster = {
+    /**
+     * Scan for new product elements, optionally only inside `root`
+     */
+    rescan: function (root) {
+      TagifyBadges.state.pageMetafields = null;
+      TagifyBadges.scanForProducts(root);
+    },
+
+    /**
+     * Apply badges to an element for a product object or handle
+     */
+    applyTo: function (element, productOrHandle, callback) {
+      const apply = (product) => {
+        if (product && element) {
+          TagifyBadges.state.processedElements.add(element);
+          TagifyBadges.state.apiContainers.add(element);
+          TagifyBadges.removeBadges(element);
+          TagifyBadges.applyBadgesToElement(product, element);
+        }
+
+        if (callback) callback(product ? window.Tagmaster.getAppliedBadges(element) : []);
+      };
+
+      if (typeof productOrHandle === 'string') {
+        TagifyBadges.fetchProductData(productOrHandle, apply);
+      } else {
+        apply(productOrHandle);
+      }
+    },
+
+    /**
+     * Remove badges from an element and its descendants
+     */
+    remove: function (element) {
+      if (!element) return;
+
+      if (element.classList.contains(CONFIG.badgePrefix)) {
+        const container = TagifyBadges.getBadgeOwner(element);
+        TagifyBadges.removeBadgeElement(element);
+        TagifyBadges.layoutBadges(container);
+        return;
+      }
+
+      TagifyBadges.queryBadges(element).forEach(badgeElement => {
+        TagifyBadges.removeBadgeElement(badgeElement);
+      });
+
+      TagifyBadges.queryBadges(element, `.${CONFIG.badgePrefix}-overflow`).forEach(overflowElement => {
+        overflowElement.remove();
+      });
+    },
+
+    /**
+     * Get the active badge configurations
+     */
+    getBadges: function () {
+      return TagifyBadges.state.badges.slice();
+    },
+
+    /**
+     * Get the badges rendered on the page, or inside `root`
+     */
+    getAppliedBadges: function (root) {
+      const scope = root || document;
+
+      return TagifyBadges.queryBadges(scope).map(badgeElement => ({
+        badgeId: badgeElement.getAttribute('data-tm-badge-id'),
+        productId: badgeElement.getAttribute('data-tm-product-id'),
+        handle: badgeElement.getAttribute('data-tm-product-handle'),
+        text: badgeElement.textContent,
+        element: badgeElement
+      }));
+    },
+
+    /**
+     * Remove all badges and stop watching the page
+     */
+    destroy: function () {
+      TagifyBadges.destroy();
+    },
+
+    /**
+     * Re-initialise for the current page, e.g. after a custom page transition
+     */
+    reinit: function () {
+      TagifyBadges.reinit();
+    },
+
+    /**
+     * Reload the badge configuration from the server, bypassing the cache
+     */
+    refreshConfig: function (callback) {
+      TagifyBadges.fetchBadges(true, callback);
+    }
+  };
+
   // Initialize on page load
   if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', function () {